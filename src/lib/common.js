@@ -26,15 +26,35 @@
 export const MODE_REGEX = 'regex';
 export const MODE_MIGEMO = 'migemo';
 export const MODE_LITERAL = 'literal';
+export const MODE_GLOB = 'glob';
 export const MODE = {
 	REGEX: MODE_REGEX,
 	MIGEMO: MODE_MIGEMO,
-	LITERAL: MODE_LITERAL
+	LITERAL: MODE_LITERAL,
+	GLOB: MODE_GLOB
+};
+export const DIALECT_JAVASCRIPT = 'javascript';
+export const DIALECT_EMACS = 'emacs';
+export const DIALECT_VIM_VERY_MAGIC = 'vimVeryMagic';
+export const DIALECT_VIM_VERY_NOMAGIC = 'vimVeryNomagic';
+export const DIALECT = {
+	JAVASCRIPT: DIALECT_JAVASCRIPT,
+	EMACS: DIALECT_EMACS,
+	VIM_VERY_MAGIC: DIALECT_VIM_VERY_MAGIC,
+	VIM_VERY_NOMAGIC: DIALECT_VIM_VERY_NOMAGIC
 };
 export const OPT_STRICT = 'strict';
+export const OPT_VERBOSE = 'verbose';
+export const OPT_WHOLE_WORD = 'wholeWord';
+export const OPT_LIVE = 'live';
+export const OPT_FORMS = 'forms';
+export const OPT_HIDDEN = 'hidden';
+export const OPT_GENERATED = 'generated';
+export const OPT_RUBY = 'ruby';
 export const HIST_MAX = 100;
 export const MATCH_MAX = 1000;
 export const MATCH_FRAGMENT_MAX_LENGTH = 200;
+export const EXEC_TIME_BUDGET_MSECS = 1000 * 3;
 
 /*
  * functions
@@ -61,10 +61,18 @@ const interceptMap = {
  * variables
  */
 
-let MATCH_MAX, MATCH_FRAGMENT_MAX_LENGTH;
+let MATCH_MAX, MATCH_FRAGMENT_MAX_LENGTH, EXEC_TIME_BUDGET_MSECS;
 let sessionKey;
-let esc, tag, log, debounce;
-let mutob, search, panel;
+let _, esc, tag, log, debounce;
+let mutob, search, panel, matcher, frameChannel;
+let commitSerial = 0;
+let pendingMutationRecords = [];
+let processMutationsLater;
+let liveUpdate;
+let emphasizedFrames = new Set;
+let activeFrame;
+let frameMatchKeys = [];
+let frameCommandQueue = Promise.resolve();
 let searchInfo = {promise: undefined, data: undefined};
 
 /*
@@ -83,6 +91,202 @@ function isContentEditable (el) {
 	return false;
 }
 
+async function isFormsMode () {
+	try {
+		const storage = await chrome.storage.local.get('formsMode');
+		return !!storage.formsMode;
+	}
+	catch {
+		return false;
+	}
+}
+
+function getErrorMessage (err) {
+	switch (err.name) {
+	case 'TimeoutError':
+		return _('abortedTimeout', (err.budget / 1000).toFixed(1));
+	case 'HazardError':
+		return _('hazardRejected', err.hazards[0].source);
+	case 'DialectError':
+		return _('dialectUntranslatable', err.construct, err.dialectName);
+	default:
+		return err.message;
+	}
+}
+
+function observeMutations () {
+	mutob.observe(document.body, {
+		subtree: true,
+		childList: true,
+		characterData: true,
+		// the attributes indexed as accessible names
+		attributes: true,
+		attributeFilter: ['alt', 'title', 'aria-label']
+	});
+}
+
+function ignoreMutations (fn) {
+	/*
+	 * the emphasis of found items changes the DOM tree.
+	 * those changes must not be treated as changes of the page.
+	 */
+	pendingMutationRecords.push(...mutob.takeRecords());
+	try {
+		return fn();
+	}
+	finally {
+		mutob.takeRecords();
+	}
+}
+
+function processMutations () {
+	const records = pendingMutationRecords;
+	pendingMutationRecords = [];
+
+	if (!records.length) {
+		return;
+	}
+
+	const data = searchInfo.data;
+	if (!data) {
+		searchInfo.promise = searchInfo.data = undefined;
+		return;
+	}
+
+	// the index can not be updated while the emphasis splits text nodes
+	let anchor, active;
+	if (panel.isOpened()) {
+		ignoreMutations(() => {
+			anchor = panel.foundItemList.anchor();
+			panel.foundItemList.revert();
+		});
+		revertFrameItems();
+
+		// the active match is followed through the patch. a pending
+		// update has the one which is already relocated.
+		active = search.markMatch(data, liveUpdate ?
+			liveUpdate.active : panel.foundItemList.active?.match);
+	}
+
+	searchInfo.promise = search.updateSearchInfo(data, records).then(updated => {
+		if (searchInfo.data !== data) {
+			return searchInfo.data;
+		}
+		if (!updated) {
+			// the changes are too complex to patch: rebuild from scratch
+			searchInfo.promise = searchInfo.data = undefined;
+		}
+		if (panel.isOpened()) {
+			if (panel.foundItemList.length !== undefined) {
+				/*
+				 * live mode: the matches in the edited lines are merged into
+				 * the found items by the next commit. without the edits
+				 * (a rebuilt index, or iframes whose texts are not known here),
+				 * the whole page is searched again.
+				 */
+				let changed = null;
+				if (updated && !data.hasFrames && liveUpdate?.changed !== null) {
+					changed = new Map(liveUpdate?.changed);
+					data.sets.forEach((set, i) => {
+						if (set.edits.length) {
+							changed.set(i, [...(changed.get(i) ?? []), ...set.edits]);
+						}
+					});
+				}
+				liveUpdate = {
+					anchor: anchor ?? liveUpdate?.anchor,
+					active: updated ? search.relocateMatch(data, active) : null,
+					changed
+				};
+				panel.requestCommit(true);
+			}
+			else if (!updated) {
+				panel.requestCommit();
+			}
+		}
+		return searchInfo.data;
+	});
+}
+
+function postToFrame (frame, data) {
+	const {command, ...rest} = data;
+	frameChannel.notify(frame, sessionKey, command, rest);
+}
+
+function emphasisFrameItems () {
+	/*
+	 * the matches in a cross-origin iframe are highlighted by
+	 * the content script of the iframe. they are identified by the keys
+	 * (the indexes in the found item list of this frame).
+	 */
+	const frameMatches = new Map;
+	for (let i = 0; i < panel.foundItemList.length; i++) {
+		const fi = panel.foundItemList.item(i);
+		if (fi.target?.nodeName !== 'IFRAME') continue;
+
+		fi.frameKey = i;
+		if (!frameMatches.has(fi.target)) {
+			frameMatches.set(fi.target, []);
+		}
+		frameMatches.get(fi.target).push({
+			key: i,
+			text: fi.match.text,
+			index: fi.match.index
+		});
+	}
+
+	for (const [frame, matches] of frameMatches) {
+		postToFrame(frame, {command: 'emphasis', matches});
+		emphasizedFrames.add(frame);
+	}
+}
+
+function revertFrameItems () {
+	for (const frame of emphasizedFrames) {
+		postToFrame(frame, {command: 'revert'});
+	}
+	emphasizedFrames.clear();
+	activeFrame = undefined;
+}
+
+function activateFrameItem () {
+	const fi = panel.foundItemList.active;
+	const frame = fi?.frameKey !== undefined ? fi.nodes[0] : undefined;
+
+	if (activeFrame && activeFrame !== frame) {
+		postToFrame(activeFrame, {command: 'deactivate'});
+	}
+	if (frame) {
+		postToFrame(frame, {command: 'activate', key: fi.frameKey});
+	}
+
+	activeFrame = frame;
+}
+
+function reportHazards (patterns) {
+	const atomicSources = new Set;
+	const possibleSources = new Set;
+	for (const pattern of patterns) {
+		for (const hazard of pattern.hazards ?? []) {
+			(hazard.atomic ? atomicSources : possibleSources).add(hazard.source);
+		}
+	}
+	if (atomicSources.size) {
+		panel.setHeaderSeverity(_('hazardAtomic', [...atomicSources][0], atomicSources.size), true);
+	}
+	else if (possibleSources.size) {
+		// the pattern is left as is, so this is just a warning
+		panel.setHeaderSeverity(_('hazardPossible', [...possibleSources][0], possibleSources.size), false);
+	}
+}
+
+function reportFrameErrors (si) {
+	const frames = si.frameErrors?.map(({frame}) => frame.src) ?? [];
+	if (frames.length) {
+		panel.setHeaderSeverity(_('frameTimeout', frames[0], frames.length), true);
+	}
+}
+
 /*
  * event handlers
  */
@@ -96,13 +300,49 @@ function handleKeyDown (e) {
 }
 
 function handleOpen () {
-	mutob.disconnect();
+	pendingMutationRecords.push(...mutob.takeRecords());
+
+	// the changes which the observer can not see
+	if (searchInfo.data) {
+		const records = search.getUnobservedChanges(searchInfo.data);
+		if (records) {
+			pendingMutationRecords.push(...records);
+		}
+		else {
+			searchInfo.promise = searchInfo.data = undefined;
+		}
+	}
+
+	// the page is observed while the panel is open, only in the live mode
+	handleLiveModeChange(panel.isLiveMode());
+	processMutations();
+}
+
+function handleLiveModeChange (isLive) {
+	if (isLive) {
+		observeMutations();
+	}
+	else {
+		pendingMutationRecords.push(...mutob.takeRecords());
+		mutob.disconnect();
+	}
 }
 
 function handleProgress (percent) {
 }
 
 async function handleCommitText (text, detail) {
+	const serial = ++commitSerial;
+
+	// the changes merged by this commit of the live mode
+	const update = detail.isLive ? liveUpdate : undefined;
+	liveUpdate = undefined;
+
+	// the options which change the index, such as the form fields
+	if (searchInfo.data && !search.isIndexedWith(searchInfo.data, detail)) {
+		searchInfo.promise = searchInfo.data = undefined;
+	}
+
 	if (searchInfo.promise) {
 		panel.setProgress(100);
 	}
@@ -111,7 +351,7 @@ async function handleCommitText (text, detail) {
 			.then(si => {
 				if (searchInfo.promise) {
 					searchInfo.data = si;
-					panel.requestCommit();
+					panel.requestCommit(detail.isLive);
 					return searchInfo.data;
 				}
 			});
@@ -131,7 +371,7 @@ async function handleCommitText (text, detail) {
 	}
 	catch (err) {
 		console.error(err.message);
-		panel.setHeaderSeverity(err.message, true);
+		panel.setHeaderSeverity(getErrorMessage(err), true);
 		return;
 	}
 
@@ -144,139 +384,326 @@ async function handleCommitText (text, detail) {
 		const si = searchInfo.data;
 		search.dumpSearchInfo(si);
 
-		panel.foundItemList.open();
-		try {
-			loop: for (let i = 0; i < si.sets.length; i++) {
-				const set = si.sets[i];
-
-				try {
-					pattern = await search.getPattern(
-						text,
-						set.text,
-						{extendDot: true, ...detail});
-				}
-				catch (err) {
-					console.error(err.message);
-					panel.setHeaderSeverity(err.message, true);
-					return;
+		// the matches out of the edited lines are kept, following the edits
+		const changed = panel.foundItemList.length !== undefined ? update?.changed : null;
+		const keptMatches = [];
+		if (changed) {
+			for (let i = 0; i < panel.foundItemList.length; i++) {
+				const {match} = panel.foundItemList.item(i);
+				const edits = changed.get(match.setIndex);
+				const index = edits ?
+					search.mapEditedIndex(edits, match.index, match.text.length) :
+					match.index;
+				if (index >= 0) {
+					keptMatches.push({...match, index});
 				}
+			}
+		}
 
-				let lastMatch, lastMatchLength;
-				for (let re of search.execLoop(pattern, set.text, MATCH_FRAGMENT_MAX_LENGTH)) {
-					/*
-					 * combine a series of matches with only one grapheme into a chunk
-					 */
-					if (lastMatch
-					 && lastMatch.index + lastMatch[0].length === re.index
-					 && re.graphemes.length === 1
-					 && lastMatchLength + re.graphemes.length <= MATCH_FRAGMENT_MAX_LENGTH) {
-						panel.foundItemList.removeLast();
-						lastMatch[0] += re[0];
-						lastMatchLength += re.graphemes.length;
-						re = lastMatch;
-					}
-					else {
-						lastMatch = re;
-						lastMatchLength = re.graphemes.length;
-					}
+		// only the edited lines are searched again
+		const jobs = [];
+		const jobTargets = [];
+		for (const [setIndex, set] of si.sets.entries()) {
+			let ranges = [[0, set.text.length]];
+			if (changed) {
+				if (!changed.has(setIndex)) continue;
+				ranges = search.getEditedRanges(changed.get(setIndex));
+			}
+			try {
+				const pattern = await search.getPattern(
+					text,
+					set.text,
+					{extendDot: true, ...detail});
+				for (const [start, end] of ranges) {
+					if (start === end) continue;
+					jobs.push({pattern, text: set.text.substring(start, end)});
+					jobTargets.push({setIndex, offset: start});
+				}
+			}
+			catch (err) {
+				console.error(err.message);
+				panel.setHeaderSeverity(getErrorMessage(err), true);
+				return;
+			}
+		}
 
-					const range = search.getFoundItemRange(re, si, i);
-					if (!range) {
-						const range2 = search.getFoundItemRange(re, si, i);
-						console.dir(range2);
-						continue;
-					}
+		if (serial !== commitSerial) return;
 
-					//console.dir(range);
+		reportHazards(jobs.map(job => job.pattern));
+		reportFrameErrors(si);
 
+		ignoreMutations(() => {
+			panel.foundItemList.open();
+		});
+		revertFrameItems();
+		try {
+			for (const match of keptMatches) {
+				const re = [match.text];
+				re.index = match.index;
+				const range = search.getFoundItemRange(re, si, match.setIndex);
+				if (range) {
 					panel.foundItemList.add(range);
-					if (++matched > MATCH_MAX) break loop;
+					matched++;
 				}
+			}
 
-				//console.log(`#${i} text: "${set.text}"`);
+			let lastMatch, lastMatchLength, lastSetIndex;
+			for await (let {setIndex: jobIndex, re} of matcher.exec(jobs, MATCH_FRAGMENT_MAX_LENGTH, EXEC_TIME_BUDGET_MSECS, MATCH_MAX + 1 - matched)) {
+				const {setIndex, offset} = jobTargets[jobIndex];
+				re.index += offset;
+				if (setIndex !== lastSetIndex) {
+					lastMatch = undefined;
+					lastSetIndex = setIndex;
+				}
+
+				/*
+				 * combine a series of matches with only one grapheme into a chunk
+				 */
+				if (search.isContinuedMatch(lastMatch, re)
+				 && lastMatchLength + re.graphemes.length <= MATCH_FRAGMENT_MAX_LENGTH) {
+					panel.foundItemList.removeLast();
+					lastMatch[0] += re[0];
+					lastMatchLength += re.graphemes.length;
+					re = lastMatch;
+				}
+				else {
+					lastMatch = re;
+					lastMatchLength = re.graphemes.length;
+				}
+
+				const range = search.getFoundItemRange(re, si, setIndex);
+				if (!range) {
+					const range2 = search.getFoundItemRange(re, si, setIndex);
+					console.dir(range2);
+					continue;
+				}
+
+				//console.dir(range);
+
+				panel.foundItemList.add(range);
+				if (++matched > MATCH_MAX) break;
 			}
 		}
+		catch (err) {
+			// keep the partial results and tell why the search was aborted
+			console.error(err.message);
+			panel.setHeaderSeverity(getErrorMessage(err), true);
+		}
 		finally {
 			panel.foundItemList.close();
 			//panel.foundItemList.dump(si);
 			matched = panel.foundItemList.length;
 		}
+
+		if (serial !== commitSerial) {
+			panel.foundItemList.invalidate();
+			return;
+		}
 	}
 	else if (searchInfo.data) {
-		matched = searchInfo.data.sets.reduce((result, set) => {
-			return result + (set.text.match(pattern)?.length ?? 0);
-		}, 0);
-	}
+		reportHazards([pattern]);
+
+		try {
+			matched = await matcher.count(searchInfo.data.sets.map(set => {
+				return {pattern, text: set.text};
+			}), EXEC_TIME_BUDGET_MSECS);
+		}
+		catch (err) {
+			console.error(err.message);
+			panel.setHeaderSeverity(getErrorMessage(err), true);
+			return;
+		}
 
-	panel.foundItemList.revert();
+		if (serial !== commitSerial) return;
+	}
 
-	if (matched) {
-		panel.foundItemList.emphasis();
-		panel.foundItemList.activate();
-		matched = panel.foundItemList.length ?? matched;
+	// the same match as before stays active in the live mode
+	let anchor = update?.anchor;
+	for (let i = 0; update?.active && i < panel.foundItemList.length; i++) {
+		const {index, match} = panel.foundItemList.item(i);
+		if (match.setIndex === update.active.setIndex
+		 && match.index === update.active.index
+		 && match.text === update.active.text) {
+			anchor = index;
+			break;
+		}
 	}
 
+	revertFrameItems();
+	ignoreMutations(() => {
+		panel.foundItemList.revert();
+
+		if (matched) {
+			emphasisFrameItems();
+			panel.foundItemList.emphasis(anchor);
+			panel.foundItemList.activate(undefined, detail.isLive);
+			activateFrameItem();
+			matched = panel.foundItemList.length ?? matched;
+		}
+	});
+
 	panel.showFoundMessage(matched);
 }
 
+function handleInterrupt () {
+	commitSerial++;
+	matcher.cancel();
+}
+
 function handleCommitNext () {
-	panel.foundItemList.activateNext();
+	ignoreMutations(() => {
+		panel.foundItemList.activateNext();
+	});
+	activateFrameItem();
 }
 
 function handleCommitPrevious () {
-	panel.foundItemList.activatePrevious();
+	ignoreMutations(() => {
+		panel.foundItemList.activatePrevious();
+	});
+	activateFrameItem();
 }
 
 function handleEscape () {
+	commitSerial++;
+	matcher.dispose();
+	revertFrameItems();
 	panel.close(searchInfo.data);
 	search.close();
 }
 
 function handleClose () {
+	// discard the changes by reverting the emphasis
 	mutob.takeRecords();
-	mutob.observe(document.body, {
-		subtree: true,
-		childList: true,
-		characterData: true
-	});
+	observeMutations();
+
+	// the changes while the panel was open are processed now
+	if (pendingMutationRecords.length) {
+		processMutationsLater();
+	}
 }
 
 function handleMutation (list) {
-	if (panel && !panel.isOpened()) {
-		searchInfo.promise = searchInfo.data = undefined;
+	if (!panel) return;
+
+	// ignore the changes of the panel itself
+	const panelElement = document.getElementById(panel.id);
+	list = list.filter(record => {
+		if (!panelElement) return true;
+		if (panelElement.contains(record.target)) return false;
+
+		const nodes = [...record.addedNodes, ...record.removedNodes];
+		return !nodes.length || nodes.some(node => node !== panelElement);
+	});
+
+	if (list.length) {
+		pendingMutationRecords.push(...list);
+		processMutationsLater();
 	}
 }
 
-function handleCrossdocumentMessage (e) {
+async function handleFrameCommand (data) {
+	const [search, panel] = await Promise.all([
+		import('./search.js'),
+		import('./panel.js')
+	]);
+
+	switch (data.command) {
+	case 'emphasis':
+		if (!searchInfo.data) break;
+
+		panel.foundItemList.open();
+		frameMatchKeys = [];
+		for (const match of data.matches) {
+			const re = [match.text];
+			re.index = match.index;
+			const range = search.getFoundItemRange(re, searchInfo.data, 0);
+			if (range) {
+				panel.foundItemList.add(range);
+				frameMatchKeys.push(match.key);
+			}
+		}
+		panel.foundItemList.close();
+		panel.createStyle();
+		panel.foundItemList.emphasis();
+		break;
+
+	case 'activate':
+		{
+			const index = frameMatchKeys.indexOf(data.key);
+			for (let i = 0; i < panel.foundItemList.length; i++) {
+				if (panel.foundItemList.item(i).index === index) {
+					panel.foundItemList.activate(i);
+					break;
+				}
+			}
+		}
+		break;
+
+	case 'deactivate':
+		panel.foundItemList.deactivate();
+		break;
+
+	case 'revert':
+		panel.foundItemList.revert();
+		panel.foundItemList.invalidate();
+		frameMatchKeys = [];
+		break;
+	}
+}
+
+async function handleFrameRequest (command, data) {
+	switch (command) {
+	case 'getSearchTarget':
+		{
+			const search = await import('./search.js');
+			search.setSessionKey(sessionKey);
+			searchInfo.promise = search.getSearchInfo(data.detail);
+			searchInfo.data = await searchInfo.promise;
+			return {
+				unified: searchInfo.data.unified,
+				sets: [
+					{
+						type: 'iframe',
+						lines: searchInfo.data.sets[0].lines,
+						text: searchInfo.data.sets[0].text,
+						positions: null
+					}
+				]
+			};
+		}
+
+	case 'emphasis':
+	case 'activate':
+	case 'deactivate':
+	case 'revert':
+		// the highlighting requests from the top frame are processed in order
+		frameCommandQueue = frameCommandQueue
+			.then(() => handleFrameCommand({...data, command}))
+			.catch(err => {
+				console.error(err.stack);
+			});
+		return frameCommandQueue;
+
+	default:
+		throw new Error(`unknown command: ${command}`);
+	}
+}
+
+async function handleCrossdocumentMessage (e) {
+	/*
+	 * only the connection request is accepted here. the following
+	 * requests come through the MessagePort passed by it.
+	 */
+	if (e.data?.command !== 'connect') return;
+
 	try {
-		if (e.data.sessionKey !== sessionKey) {
+		const frameChannel = await import('./frame-channel.js');
+		if (!frameChannel.accept(e, sessionKey, handleFrameRequest)) {
 			console.log([
 				`*** handleCrossdocumentMessage ***`,
-				`!!! invalid sessionKey !!!`
+				`!!! rejected a connection request from ${e.origin} !!!`
 			].join('\n'));
-			return;
-		}
-
-		switch (e.data.command) {
-		case 'getSearchTarget':
-			(async () => {
-				const search = await import('./search.js');
-				search.setSessionKey(sessionKey);
-				searchInfo.promise = search.getSearchInfo(e.data.detail);
-				searchInfo.data = await searchInfo.promise;
-				e.source.postMessage({
-					unified: searchInfo.data.unified,
-					sets: [
-						{
-							type: 'iframe',
-							lines: searchInfo.data.sets[0].lines,
-							text: searchInfo.data.sets[0].text,
-							positions: null
-						}
-					]
-				}, e.origin);
-			})();
-			break;
 		}
 	}
 	catch (err) {
@@ -289,7 +716,7 @@ async function handleMessage (request, sendResponse) {
 	case 'popup_clicked':
 	case 'open_search_panel':
 		{
-			if (isContentEditable(document.activeElement)) {
+			if (isContentEditable(document.activeElement) && !await isFormsMode()) {
 				return;
 			}
 
@@ -302,7 +729,7 @@ async function handleMessage (request, sendResponse) {
 				if (!panel) {
 					await Promise.all([
 						import('./common.js').then(module => {
-							({esc, tag, log, MATCH_MAX, MATCH_FRAGMENT_MAX_LENGTH} = module);
+							({_, esc, tag, log, MATCH_MAX, MATCH_FRAGMENT_MAX_LENGTH, EXEC_TIME_BUDGET_MSECS} = module);
 						}),
 						import('./utils.js').then(module => {
 							({debounce} = module);
@@ -312,6 +739,12 @@ async function handleMessage (request, sendResponse) {
 						}),
 						import('./panel.js').then(module => {
 							panel = module;
+						}),
+						import('./matcher.js').then(module => {
+							matcher = module;
+						}),
+						import('./frame-channel.js').then(module => {
+							frameChannel = module;
 						})
 					]);
 					panel.config({
@@ -320,11 +753,19 @@ async function handleMessage (request, sendResponse) {
 						onCommitNext: handleCommitNext,
 						onCommitPrevious: handleCommitPrevious,
 						onEscape: handleEscape,
-						onClose: handleClose
+						onClose: handleClose,
+						onInterrupt: handleInterrupt,
+						onLiveModeChange: handleLiveModeChange
 					});
 					search.setSessionKey(sessionKey);
 					search.exceptElementIds.add(panel.id);
-					mutob = new MutationObserver(debounce(handleMutation, 1000));
+					mutob = new MutationObserver(handleMutation);
+					processMutationsLater = debounce(() => {
+						// without the live mode, the changes wait for the panel to be closed
+						if (!panel.isOpened() || panel.isLiveMode()) {
+							processMutations();
+						}
+					}, 1000);
 				}
 				await panel.open();
 			}
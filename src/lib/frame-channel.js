@@ -0,0 +1,243 @@
+/*
+ * Search Cobb
+ *
+ * @author akahuku@gmail.com
+ */
+/**
+ * Copyright 2024 akahuku, akahuku@gmail.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ * protocol:
+ *
+ *   1. the parent frame posts {command: 'connect', sessionKey} to the iframe
+ *      with a MessagePort, only to the origin of the iframe.
+ *   2. the iframe accepts it only if it comes from the parent window,
+ *      from the parent's origin, and has the right session key. then it
+ *      replies {type: 'ready'} through the port.
+ *   3. after that, all the requests and responses go through the port:
+ *
+ *        request:  {id, command, ...}
+ *        response: {id, type: 'result', result} or {id, type: 'error', message}
+ *
+ * since nobody except the iframe holds the other end of the port,
+ * the responses can not be confused with those of other iframes.
+ */
+
+/*
+ * consts
+ */
+
+export const TIMEOUT_MSECS = 1000 * 5;
+
+/*
+ * variables
+ */
+
+let channels = new WeakMap;
+let lastRequestId = 0;
+
+/*
+ * functions
+ */
+
+function getFrameOrigin (frame) {
+	/*
+	 * the frames with an opaque origin (data: url, srcdoc, sandboxed, ...)
+	 * can not be specified as a target origin. in that case, the connection
+	 * request is sent to any origin, but the responses still come through
+	 * the port which only the frame has.
+	 */
+	try {
+		const origin = new URL(frame.src, document.baseURI).origin;
+		const opaque = origin === 'null'
+		 || frame.sandbox?.length && !frame.sandbox.contains('allow-same-origin');
+		return opaque ? '*' : origin;
+	}
+	catch {
+		return null;
+	}
+}
+
+function createFrameTimeoutError (frame, msecs) {
+	const err = new Error(`frame-channel: no response from ${frame.src} in ${msecs} msecs`);
+	err.name = 'FrameTimeoutError';
+	err.frame = frame;
+	return err;
+}
+
+function createChannel (frame, sessionKey, timeout) {
+	const origin = getFrameOrigin(frame);
+	if (!origin || !frame.contentWindow) {
+		return Promise.reject(new Error(`frame-channel: unknown origin: ${frame.src}`));
+	}
+
+	const {port1, port2} = new MessageChannel;
+	const channel = {
+		port: port1,
+		pendings: new Map
+	};
+
+	return new Promise((resolve, reject) => {
+		const timer = setTimeout(() => {
+			port1.close();
+			reject(createFrameTimeoutError(frame, timeout));
+		}, timeout);
+
+		port1.onmessage = e => {
+			if (e.data?.type !== 'ready') return;
+
+			clearTimeout(timer);
+			port1.onmessage = e => {
+				handleResponse(channel, e);
+			};
+			resolve(channel);
+		};
+
+		frame.contentWindow.postMessage(
+			{command: 'connect', sessionKey},
+			origin, [port2]);
+	});
+}
+
+function getChannel (frame, sessionKey, timeout) {
+	let promise = channels.get(frame);
+	if (!promise) {
+		promise = createChannel(frame, sessionKey, timeout);
+		channels.set(frame, promise);
+
+		// a failed connection can be retried next time
+		promise.catch(() => {
+			evictChannel(frame, promise);
+		});
+
+		// a reloaded frame has a new content script, which needs a new connection
+		frame.addEventListener('load', () => {
+			evictChannel(frame, promise);
+		}, {once: true});
+	}
+	return promise;
+}
+
+function evictChannel (frame, promise) {
+	if (channels.get(frame) === promise) {
+		disconnect(frame);
+	}
+}
+
+/*
+ * event handlers
+ */
+
+function handleResponse (channel, e) {
+	const pending = channel.pendings.get(e.data?.id);
+	if (!pending) return;
+
+	channel.pendings.delete(e.data.id);
+	clearTimeout(pending.timer);
+
+	if (e.data.type === 'error') {
+		pending.reject(new Error(e.data.message));
+	}
+	else {
+		pending.resolve(e.data.result);
+	}
+}
+
+/*
+ * exported functions
+ */
+
+/*
+ * for the parent frame: sends a request to the content script in 'frame',
+ * and returns its result. FrameTimeoutError is thrown if the iframe
+ * does not respond to the connection or the request in time.
+ */
+export async function request (frame, sessionKey, command, data = {}, timeout = TIMEOUT_MSECS) {
+	const promise = getChannel(frame, sessionKey, timeout);
+	const channel = await promise;
+	const id = ++lastRequestId;
+
+	return new Promise((resolve, reject) => {
+		const timer = setTimeout(() => {
+			channel.pendings.delete(id);
+
+			// the frame may have gone away, so connect again next time
+			evictChannel(frame, promise);
+			reject(createFrameTimeoutError(frame, timeout));
+		}, timeout);
+
+		channel.pendings.set(id, {resolve, reject, timer});
+		channel.port.postMessage({...data, id, command});
+	});
+}
+
+/*
+ * for the parent frame: sends a request and ignores its result.
+ */
+export function notify (frame, sessionKey, command, data = {}) {
+	request(frame, sessionKey, command, data).catch(err => {
+		console.error(err.message);
+	});
+}
+
+export function disconnect (frame) {
+	const promise = channels.get(frame);
+	if (promise) {
+		channels.delete(frame);
+		promise.then(channel => {
+			channel.port.close();
+		}, () => {});
+	}
+}
+
+/*
+ * for the iframe: accepts a connection request from the parent frame.
+ * 'handler' receives the requests and returns (or resolves) their results.
+ * returns true if the connection is accepted.
+ */
+export function accept (e, sessionKey, handler) {
+	if (e.source !== window.parent || window.parent === window) {
+		return false;
+	}
+
+	// location.ancestorOrigins is not available on some browsers
+	const parentOrigin = location.ancestorOrigins?.[0];
+	if (parentOrigin && e.origin !== parentOrigin) {
+		return false;
+	}
+
+	if (e.data?.command !== 'connect'
+	 || typeof sessionKey !== 'string'
+	 || e.data.sessionKey !== sessionKey
+	 || e.ports.length !== 1) {
+		return false;
+	}
+
+	const port = e.ports[0];
+	port.onmessage = async e => {
+		const {id, command} = e.data ?? {};
+		try {
+			const result = await handler(command, e.data);
+			port.postMessage({id, type: 'result', result});
+		}
+		catch (err) {
+			port.postMessage({id, type: 'error', message: err.message});
+		}
+	};
+	port.postMessage({type: 'ready'});
+
+	return true;
+}
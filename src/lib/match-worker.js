@@ -0,0 +1,139 @@
+/*
+ * Search Cobb
+ *
+ * @author akahuku@gmail.com
+ */
+/**
+ * Copyright 2024 akahuku, akahuku@gmail.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {execLoop, isContinuedMatch, countMatches, createTimeoutError} from './search.js';
+
+/*
+ * consts
+ */
+
+const BATCH_MSECS = 50;
+
+/*
+ * functions
+ */
+
+function getRestBudget (deadline, budget) {
+	if (deadline === undefined) return;
+
+	const rest = deadline - Date.now();
+	if (rest < 0) {
+		throw createTimeoutError(budget);
+	}
+	return rest;
+}
+
+function execJobs (id, jobs, limit, budget, max = Infinity) {
+	const deadline = typeof budget === 'number' ? Date.now() + budget : undefined;
+	let batch = [];
+	let batchSetIndex;
+	let batchTime = Date.now();
+	let count = 0;
+
+	function flush () {
+		if (batch.length) {
+			postMessage({id, type: 'match', setIndex: batchSetIndex, matches: batch});
+			batch = [];
+		}
+		batchTime = Date.now();
+	}
+
+	for (let i = 0; i < jobs.length; i++) {
+		const pattern = new RegExp(jobs[i].source, jobs[i].flags);
+		pattern.wholeWord = jobs[i].wholeWord;
+
+		flush();
+		batchSetIndex = i;
+
+		let last;
+		for (const re of execLoop(pattern, jobs[i].text, limit, getRestBudget(deadline, budget))) {
+			/*
+			 * a series of matches with one grapheme becomes a single found
+			 * item, so it is counted once, same as the content script.
+			 */
+			if (!isContinuedMatch(last, re) && ++count > max) {
+				flush();
+				return;
+			}
+			last = re;
+
+			/*
+			 * the matches are posted in a batch every time slice, before
+			 * the next exec(). the worker may be terminated by the watchdog
+			 * during an exec(), and the matches held in it would be lost then.
+			 */
+			batch.push({text: re[0], index: re.index});
+			if (Date.now() - batchTime >= BATCH_MSECS) {
+				flush();
+			}
+		}
+	}
+
+	flush();
+}
+
+function countJobs (id, jobs, budget) {
+	const deadline = typeof budget === 'number' ? Date.now() + budget : undefined;
+
+	for (let i = 0; i < jobs.length; i++) {
+		getRestBudget(deadline, budget);
+		const pattern = new RegExp(jobs[i].source, jobs[i].flags);
+		pattern.wholeWord = jobs[i].wholeWord;
+		postMessage({
+			id,
+			type: 'count',
+			setIndex: i,
+			count: countMatches(pattern, jobs[i].text)
+		});
+	}
+}
+
+/*
+ * event handlers
+ */
+
+function handleMessage (e) {
+	const {id, command, jobs, limit, budget, max} = e.data;
+	try {
+		switch (command) {
+		case 'exec':
+			execJobs(id, jobs, limit, budget, max);
+			break;
+		case 'count':
+			countJobs(id, jobs, budget);
+			break;
+		default:
+			throw new Error(`match-worker: unknown command: ${command}`);
+		}
+		postMessage({id, type: 'done'});
+	}
+	catch (err) {
+		postMessage({
+			id,
+			type: 'error',
+			name: err.name,
+			message: err.message
+		});
+	}
+}
+
+self.addEventListener('message', handleMessage);
+postMessage({type: 'ready'});
@@ -0,0 +1,388 @@
+/*
+ * Search Cobb
+ *
+ * @author akahuku@gmail.com
+ */
+/**
+ * Copyright 2024 akahuku, akahuku@gmail.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {execLoop, isContinuedMatch, countMatches, createTimeoutError} from './search.js';
+
+/*
+ * consts
+ */
+
+const WORKER_READY_TIMEOUT_MSECS = 1000 * 3;
+const WATCHDOG_GRACE_MSECS = 500;
+const SLICE_MSECS = 50;
+
+/*
+ * variables
+ */
+
+let worker;
+let workerUrl;
+let workerPromise;
+let workerFailed = false;
+let currentRun;
+let runId = 0;
+
+/*
+ * functions
+ */
+
+function getWorker () {
+	/*
+	 * A content script can not create a worker from the extension's origin
+	 * directly, so we create it through a blob url which imports the real
+	 * worker module. If the page's CSP disallows that, matching falls back
+	 * to the main thread.
+	 */
+	if (workerFailed) {
+		return Promise.resolve(null);
+	}
+	if (workerPromise) {
+		return workerPromise;
+	}
+
+	return workerPromise = new Promise(resolve => {
+		let timer, moduleUrl;
+
+		function fail () {
+			cleanup();
+			workerFailed = true;
+			terminateWorker();
+			resolve(null);
+		}
+
+		function cleanup () {
+			clearTimeout(timer);
+			globalThis.document?.removeEventListener('securitypolicyviolation', handleViolation);
+		}
+
+		function handleViolation (e) {
+			/*
+			 * the worker blocked by the CSP may not fire the error event,
+			 * but the violation is reported to the document.
+			 */
+			if (/^(?:worker|script)-src/.test(e.effectiveDirective)
+			 && ['blob', workerUrl, moduleUrl].includes(e.blockedURI)) {
+				fail();
+			}
+		}
+
+		try {
+			moduleUrl = chrome.runtime.getURL('lib/match-worker.js');
+			workerUrl = URL.createObjectURL(new Blob(
+				[`import ${JSON.stringify(moduleUrl)};`],
+				{type: 'text/javascript'}));
+			document.addEventListener('securitypolicyviolation', handleViolation);
+			worker = new Worker(workerUrl, {type: 'module'});
+			worker.addEventListener('message', function handleReady (e) {
+				if (e.data.type === 'ready') {
+					cleanup();
+					worker.removeEventListener('message', handleReady);
+					worker.removeEventListener('error', fail);
+					worker.addEventListener('message', handleWorkerMessage);
+					worker.addEventListener('error', handleWorkerError);
+					resolve(worker);
+				}
+			});
+			worker.addEventListener('error', fail);
+			timer = setTimeout(fail, WORKER_READY_TIMEOUT_MSECS);
+		}
+		catch (err) {
+			fail();
+		}
+	});
+}
+
+function terminateWorker () {
+	if (worker) {
+		worker.terminate();
+		worker = undefined;
+	}
+	if (workerUrl) {
+		URL.revokeObjectURL(workerUrl);
+		workerUrl = undefined;
+	}
+	workerPromise = undefined;
+}
+
+function nextSlice () {
+	return new Promise(resolve => {
+		setTimeout(resolve, 0);
+	});
+}
+
+function startRun () {
+	cancel();
+	return currentRun = {
+		id: ++runId,
+		messages: [],
+		wake: undefined,
+		finished: false,
+		cancelled: false
+	};
+}
+
+function finishRun (run) {
+	clearTimeout(run.watchdog);
+	if (run === currentRun) {
+		if (!run.finished) {
+			// the consumer stopped early, so stop the worker as well
+			cancel();
+		}
+		currentRun = undefined;
+	}
+}
+
+function deliver (run, message) {
+	if (run.wake) {
+		const wake = run.wake;
+		run.wake = undefined;
+		wake(message);
+	}
+	else {
+		run.messages.push(message);
+	}
+}
+
+function nextMessage (run) {
+	if (run.messages.length) {
+		return Promise.resolve(run.messages.shift());
+	}
+	return new Promise(resolve => {
+		run.wake = resolve;
+	});
+}
+
+function startWatchdog (run, budget) {
+	/*
+	 * the worker checks the budget by itself between matches, but it can
+	 * not do anything while a single catastrophic exec() is running.
+	 * in that case, kill the worker from outside.
+	 */
+	if (typeof budget !== 'number') return;
+
+	run.watchdog = setTimeout(() => {
+		if (run !== currentRun || run.finished) return;
+
+		currentRun = undefined;
+		run.finished = true;
+		terminateWorker();
+		deliver(run, {id: run.id, type: 'error', name: 'TimeoutError'});
+	}, budget + WATCHDOG_GRACE_MSECS);
+}
+
+function createError (message, budget) {
+	if (message.name === 'TimeoutError') {
+		return createTimeoutError(budget);
+	}
+	return new Error(message.message);
+}
+
+function toJobs (jobs) {
+	return jobs.map(({pattern, text}) => ({
+		source: pattern.source,
+		flags: pattern.flags,
+		wholeWord: !!pattern.wholeWord,
+		text
+	}));
+}
+
+/*
+ * event handlers
+ */
+
+function handleWorkerMessage (e) {
+	const run = currentRun;
+	if (!run || e.data.id !== run.id) return;
+
+	if (e.data.type === 'done' || e.data.type === 'error') {
+		run.finished = true;
+	}
+
+	deliver(run, e.data);
+}
+
+function handleWorkerError (e) {
+	const run = currentRun;
+	terminateWorker();
+	if (run) {
+		run.finished = true;
+		handleWorkerMessage({data: {id: run.id, type: 'error', message: e.message}});
+	}
+}
+
+/*
+ * exported functions
+ */
+
+/*
+ * jobs = [
+ *   {
+ *     pattern: <RegExp>
+ *     text: <string>
+ *   }
+ * ]
+ *
+ * yields {setIndex: <number>, re: <match result compatible with execLoop>}.
+ * iteration ends silently if the run is cancelled by cancel() or by
+ * a newer run, or after 'max' matches (a series of matches with one
+ * grapheme is counted once). if 'budget' (in msecs) runs out, TimeoutError
+ * is thrown after all partial results are yielded.
+ */
+export async function* exec (jobs, limit, budget, max = Infinity) {
+	const run = startRun();
+	const w = await getWorker();
+
+	if (run.cancelled) return;
+
+	try {
+		if (!w) {
+			/*
+			 * the main thread is given to the others every time slice,
+			 * so that cancel() can be called. the budget is shared by
+			 * all the jobs, same as the worker.
+			 */
+			const deadline = typeof budget === 'number' ? Date.now() + budget : undefined;
+			let sliceTime = Date.now();
+			let count = 0;
+			for (let i = 0; i < jobs.length; i++) {
+				const rest = deadline !== undefined ? deadline - Date.now() : undefined;
+				if (rest < 0) {
+					throw createTimeoutError(budget);
+				}
+
+				jobs[i].pattern.lastIndex = 0;
+				let last;
+				for (const re of execLoop(jobs[i].pattern, jobs[i].text, limit, rest)) {
+					if (!isContinuedMatch(last, re) && ++count > max) {
+						run.finished = true;
+						return;
+					}
+					last = re;
+					yield {setIndex: i, re};
+					if (run.cancelled) return;
+
+					if (Date.now() - sliceTime >= SLICE_MSECS) {
+						await nextSlice();
+						if (run.cancelled) return;
+						sliceTime = Date.now();
+					}
+				}
+			}
+			run.finished = true;
+			return;
+		}
+
+		w.postMessage({id: run.id, command: 'exec', jobs: toJobs(jobs), limit, budget, max});
+		startWatchdog(run, budget);
+
+		const segmenter = new Intl.Segmenter;
+		while (!run.cancelled) {
+			const message = await nextMessage(run);
+			if (!message || message.type === 'done') break;
+			if (message.type === 'error') {
+				throw createError(message, budget);
+			}
+
+			for (const match of message.matches) {
+				const re = [match.text];
+				re.index = match.index;
+				re.graphemes = [...segmenter.segment(match.text)];
+				yield {setIndex: message.setIndex, re};
+				if (run.cancelled) return;
+			}
+		}
+	}
+	finally {
+		finishRun(run);
+	}
+}
+
+/*
+ * returns the total number of matches,
+ * or undefined if the run is cancelled.
+ */
+export async function count (jobs, budget) {
+	const run = startRun();
+	const w = await getWorker();
+
+	if (run.cancelled) return;
+
+	try {
+		if (!w) {
+			// the budget and the time slice are checked between the jobs
+			const deadline = typeof budget === 'number' ? Date.now() + budget : undefined;
+			let sliceTime = Date.now();
+			let result = 0;
+			for (const job of jobs) {
+				if (deadline !== undefined && Date.now() > deadline) {
+					throw createTimeoutError(budget);
+				}
+				result += countMatches(job.pattern, job.text);
+
+				if (Date.now() - sliceTime >= SLICE_MSECS) {
+					await nextSlice();
+					if (run.cancelled) return;
+					sliceTime = Date.now();
+				}
+			}
+			run.finished = true;
+			return result;
+		}
+
+		w.postMessage({id: run.id, command: 'count', jobs: toJobs(jobs), budget});
+		startWatchdog(run, budget);
+
+		let result = 0;
+		while (!run.cancelled) {
+			const message = await nextMessage(run);
+			if (!message) return;
+			if (message.type === 'done') return result;
+			if (message.type === 'error') {
+				throw createError(message, budget);
+			}
+
+			result += message.count;
+		}
+	}
+	finally {
+		finishRun(run);
+	}
+}
+
+export function cancel () {
+	const run = currentRun;
+	if (!run) return;
+
+	currentRun = undefined;
+	run.cancelled = true;
+
+	// there is no way to interrupt a running RegExp other than terminating
+	if (!run.finished && worker) {
+		terminateWorker();
+	}
+
+	deliver(run, null);
+}
+
+export function dispose () {
+	cancel();
+	terminateWorker();
+}
@@ -19,10 +19,11 @@
  * limitations under the License.
  */
 
-import {_, esc, tag, log, MODE, OPT_STRICT, HIST_MAX} from './common.js';
+import {_, esc, tag, log, MODE, DIALECT, OPT_STRICT, OPT_VERBOSE, OPT_WHOLE_WORD, OPT_LIVE, OPT_FORMS, OPT_HIDDEN, OPT_GENERATED, OPT_RUBY, HIST_MAX} from './common.js';
 import {$, delay, empty, debounce} from './utils.js';
 import {getStyle} from './popup-style.js';
 import {getFoundItemRange} from './search.js';
+import {DIALECT_NAMES} from './regex-dialect.js';
 import {ShellHistory} from './history.js';
 
 /*
@@ -87,9 +88,7 @@ const strokeHandlers = {
 		if (selection.toString().length == 0) {
 			selection.modify('extend', 'backward', 'word');
 		}
-		if (/\\[LMC]$/.test(target.value.substring(0, target.selectionStart + 1))) {
-			target.selectionStart += /\\[LMC]$/.test(target.value) ? -1 : 1;
-		}
+		target.selectionStart = getEraseStart(target.value, target.selectionStart, false);
 		document.execCommand('delete', false, null);
 	},
 	'c-u': (target, alter) => {
@@ -106,9 +105,7 @@ const strokeHandlers = {
 		if (selection.toString().length == 0) {
 			selection.modify('extend', 'backward', 'lineboundary');
 		}
-		if (/^\\[LMC].+$/.test(target.value)) {
-			target.selectionStart = 2;
-		}
+		target.selectionStart = getEraseStart(target.value, target.selectionStart, true);
 		document.execCommand('delete', false, null);
 	},
 	'c-k': (target, alter) => {
@@ -149,11 +146,48 @@ const strokeHandlers = {
 	'!a-c': (target, alter) => {
 		$(`${randId}-link-strict`).click();
 	},
+	'!a-w': (target, alter) => {
+		$(`${randId}-link-glob`).click();
+	},
+	'!a-x': (target, alter) => {
+		$(`${randId}-link-verbose`).click();
+	},
+	'!a-o': (target, alter) => {
+		$(`${randId}-link-wholeword`).click();
+	},
+	'!a-d': (target, alter) => {
+		$(`${randId}-link-dialect`).click();
+	},
+	'!a-r': (target, alter) => {
+		$(`${randId}-link-live`).click();
+	},
+	'!a-i': (target, alter) => {
+		$(`${randId}-link-forms`).click();
+	},
+	'!a-h': (target, alter) => {
+		$(`${randId}-link-hidden`).click();
+	},
+	'!a-g': (target, alter) => {
+		$(`${randId}-link-generated`).click();
+	},
+	'!a-u': (target, alter) => {
+		$(`${randId}-link-ruby`).click();
+	},
 
 	/*
 	 * note: prefix '!' means 'ignore defaultPrevented property'
 	 */
 	'!Enter': (target, alter) => {
+		if (isVerboseText(target.value)) {
+			// insert a new line in the verbose mode
+			document.execCommand('insertText', false, '\n');
+		}
+		else {
+			// commit text
+			commitPanelText(target.value, true);
+		}
+	},
+	'!c-Enter': (target, alter) => {
 		// commit text
 		commitPanelText(target.value, true);
 	},
@@ -184,11 +218,13 @@ const shellHistoryConfig = {
 		input.value = text;
 		input.setSelectionRange(input.value.length, input.value.length);
 		input.focus();
+		updatePanelTextRows();
 		commitPanelTextCore(text);
 	}
 };
 const foundItemList = {
 	open: openFoundItemList,
+	anchor: getActiveFoundItemAnchor,
 	close: closeFoundItemList,
 	add: addFoundItem,
 	removeLast: removeLastFoundItem,
@@ -197,6 +233,7 @@ const foundItemList = {
 	activate: activateFoundItem,
 	activateNext: activateNextFoundItem,
 	activatePrevious: activatePreviousFoundItem,
+	deactivate: deactivateFoundItems,
 	invalidate: invalidateFoundItems,
 	copyActiveRange: copyActiveRange,
 	openActiveRange: openActiveRange,
@@ -204,14 +241,20 @@ const foundItemList = {
 	item (index) {
 		return foundItems?.[index];
 	},
+	get active () {
+		return foundItems?.[foundItemIndex];
+	},
 	get length () {
 		return foundItems?.length;
 	}
 };
 const SMOOTH_SCROLL_THRESHOLD_SCREEN_HEIGHT_FACTOR = 2;
 const MARCHING_ANTS_WIDTH = 2;
+const SVG_NS = 'http://www.w3.org/2000/svg';
 const SCROLL_POSITION_FIX_COUNT = 10;
 const SCROLL_POSITION_FIX_WAIT_MSECS = 100;
+const VERBOSE_ROWS_MIN = 3;
+const VERBOSE_ROWS_MAX = 12;
 
 /*
  * debounced functions
@@ -235,13 +278,31 @@ let onCommitNext;
 let onCommitPrevious;
 let onEscape;
 let onClose;
+let onInterrupt;
+let onLiveModeChange;
 
 let runningListeners = new WeakSet;
 let lastCommitText;
+let pendingCommitArgs;
 let foundItems;
 let foundItemIndex;
 let shellHistory;
 let activeFoundItemBorder;
+/*
+ * the switches in the footer, which are remembered in the storage
+ * as '<name>Mode'
+ */
+let toggles = {
+	[OPT_LIVE]: false,
+	[OPT_FORMS]: false,
+	[OPT_HIDDEN]: false,
+	[OPT_GENERATED]: false,
+	[OPT_RUBY]: false
+};
+// the regex dialect, which is remembered in the storage as 'dialect'
+let dialect = DIALECT.JAVASCRIPT;
+let emphasisRoots = new Set;
+let emphasisStyleSheets = new WeakMap;
 
 /*
  * classes
@@ -321,6 +382,7 @@ function MarchingAntsBorder (foundItem, borderWidth = 2) {
 	}
 
 	function handleScroll () {
+		const offset = getFrameOffset(foundItem.nodes[0]);
 		if (foundItem.nodes.length > 1) {
 			const leftTop = foundItem.nodes.reduce((result, current) => {
 				const rect = current.getBoundingClientRect();
@@ -333,13 +395,13 @@ function MarchingAntsBorder (foundItem, borderWidth = 2) {
 				return result;
 			}, {left: 0x7fffffff, top : 0x7fffffff});
 
-			elm.style.left = `${leftTop.left - MARCHING_ANTS_WIDTH}px`;
-			elm.style.top = `${leftTop.top - MARCHING_ANTS_WIDTH}px`;
+			elm.style.left = `${leftTop.left + offset.left - MARCHING_ANTS_WIDTH}px`;
+			elm.style.top = `${leftTop.top + offset.top - MARCHING_ANTS_WIDTH}px`;
 		}
 		else {
 			const rect1 = foundItem.nodes[0].getBoundingClientRect();
-			elm.style.left = `${rect1.left - MARCHING_ANTS_WIDTH}px`;
-			elm.style.top = `${rect1.top - MARCHING_ANTS_WIDTH}px`;
+			elm.style.left = `${rect1.left + offset.left - MARCHING_ANTS_WIDTH}px`;
+			elm.style.top = `${rect1.top + offset.top - MARCHING_ANTS_WIDTH}px`;
 		}
 	}
 
@@ -365,11 +427,49 @@ function MarchingAntsBorder (foundItem, borderWidth = 2) {
  * functions
  */
 
+/*
+ * note: the nodes in same-origin iframes belong to other realms, so
+ * they are tested by their properties instead of instanceof.
+ */
+function isShadowRoot (node) {
+	return node?.nodeType === 11 && !!node.host;
+}
+
+function getComposedParent (node) {
+	const parent = node.assignedSlot ?? node.parentNode;
+	if (isShadowRoot(parent)) {
+		return parent.host;
+	}
+	if (parent?.nodeType === 9) {
+		// from the document of a same-origin iframe to the iframe
+		return parent.defaultView?.frameElement ?? null;
+	}
+	return parent;
+}
+
+function getFrameOffset (node) {
+	/*
+	 * the client rects of the nodes in a same-origin iframe are relative to
+	 * the viewport of the iframe. returns the offset to the top viewport.
+	 */
+	let left = 0, top = 0;
+	for (let doc = node.ownerDocument; doc && doc !== document; ) {
+		const frame = doc.defaultView?.frameElement;
+		if (!frame) break;
+
+		const rect = frame.getBoundingClientRect();
+		left += rect.left + frame.clientLeft;
+		top += rect.top + frame.clientTop;
+		doc = frame.ownerDocument;
+	}
+	return {left, top};
+}
+
 function isFixedPosition (el) {
 	if (el.nodeType === 3) {
-		el = el.parentNode;
+		el = getComposedParent(el);
 	}
-	for (; el && el instanceof HTMLElement; el = el.parentNode) {
+	for (; el?.nodeType === 1; el = getComposedParent(el)) {
 		if (window.getComputedStyle(el).position === 'fixed') {
 			return true;
 		}
@@ -378,6 +478,57 @@ function isFixedPosition (el) {
 	return false;
 }
 
+function revealFoundItem (fi) {
+	/*
+	 * reveals the found item hidden in closed details or hidden=until-found
+	 * elements, in the same way as the native find-in-page does.
+	 * returns true if something is revealed.
+	 */
+	const node = fi.nodes[0];
+	let revealed = false;
+	for (let el = getComposedParent(node); el?.nodeType === 1; el = getComposedParent(el)) {
+		if (el.getAttribute('hidden') === 'until-found') {
+			el.dispatchEvent(new window.Event('beforematch', {bubbles: true}));
+			el.removeAttribute('hidden');
+			revealed = true;
+		}
+		// the summary of a details is shown even if it is closed
+		if (el.localName === 'details' && !el.open
+		 && !el.querySelector(':scope > summary')?.contains(node)) {
+			el.open = true;
+			revealed = true;
+		}
+	}
+	return revealed;
+}
+
+function updateFoundItemGeometry (fi) {
+	const offset = getFrameOffset(fi.nodes[0]);
+	const rects = fi.nodes.map(node => node.getBoundingClientRect());
+	const left = Math.min(...rects.map(rect => rect.left));
+	const top = Math.min(...rects.map(rect => rect.top));
+
+	fi.width = Math.max(...rects.map(rect => rect.right)) - left;
+	fi.height = Math.max(...rects.map(rect => rect.bottom)) - top;
+	fi.left = left + offset.left + (fi.isFixed ? 0 : window.scrollX);
+	fi.top = top + offset.top + (fi.isFixed ? 0 : window.scrollY);
+	fi.goalScrollX = Math.max(0, fi.left - document.documentElement.clientWidth / 2);
+	fi.goalScrollY = Math.max(0, fi.top - document.documentElement.clientHeight / 2);
+}
+
+function selectFormControlText (fi, focus) {
+	const control = fi.nodes[0];
+	try {
+		if (focus) {
+			control.focus({preventScroll: true});
+		}
+		control.setSelectionRange?.(...fi.selection);
+	}
+	catch {
+		// some types of input, such as email and number, have no selection
+	}
+}
+
 function createStyle () {
 	let el = $(`${randId}-style`);
 	if (!el) {
@@ -388,6 +539,43 @@ function createStyle () {
 	}
 }
 
+function prepareEmphasisRoot (node) {
+	/*
+	 * the style of the document does not affect the contents of
+	 * shadow roots and same-origin iframes, so adopt the same style
+	 * into them.
+	 */
+	const root = node.getRootNode();
+	if (root === document || emphasisRoots.has(root)) return;
+	if (!isShadowRoot(root) && root.nodeType !== 9) return;
+
+	emphasisRoots.add(root);
+	try {
+		// a constructed style sheet can only be adopted in its own document
+		const doc = root.nodeType === 9 ? root : root.ownerDocument;
+		let sheet = emphasisStyleSheets.get(doc);
+		if (!sheet) {
+			sheet = new doc.defaultView.CSSStyleSheet;
+			sheet.replaceSync(getStyle(randId, {}));
+			emphasisStyleSheets.set(doc, sheet);
+		}
+		if (!root.adoptedStyleSheets.includes(sheet)) {
+			root.adoptedStyleSheets = [...root.adoptedStyleSheets, sheet];
+		}
+	}
+	catch (err) {
+		log(`prepareEmphasisRoot: ${err.message}`);
+	}
+}
+
+function queryEmphasis (selector) {
+	const result = [...document.querySelectorAll(selector)];
+	for (const root of emphasisRoots) {
+		result.push(...root.querySelectorAll(selector));
+	}
+	return result;
+}
+
 function getStroke (e) {
 	const components = [];
 	e.shiftKey && components.push('s');
@@ -413,7 +601,7 @@ function invokeListener (listener, ...args) {
 	}
 
 	if (result instanceof Promise) {
-		result.catch(err => {
+		return result.catch(err => {
 			console.error(err.stack);
 			setMessage(err.message);
 		}).finally(() => {
@@ -454,7 +642,7 @@ async function openPanel () {
 <div id="${randId}-bar" class="${randId}-bar"><div></div></div>
 <div id="${randId}-header" class="${randId}-header"></div>
 <div class="${randId}-body">
-	<input type="text" id="${randId}-text">
+	<textarea id="${randId}-text" rows="1" wrap="off" spellcheck="false"></textarea>
 	<button id="${randId}-button">${_('search')}</button>
 </div>
 <div id="${randId}-footer" class="${randId}-footer">
@@ -463,7 +651,16 @@ async function openPanel () {
 		<span>${_('modeSpecifiers')}:</span>
 		<a id="${randId}-link-literal" href="#${MODE.LITERAL}" title="${_('titleLiteral')}"><span>\\L</span>${_('linkLiteral')}</a>
 		<a id="${randId}-link-migemo" href="#${MODE.MIGEMO}" title="${_('titleMigemo')}"><span>\\M</span>${_('linkMigemo')}</a>
+		<a id="${randId}-link-glob" href="#${MODE.GLOB}" title="${_('titleGlob')}"><span>\\G</span>${_('linkGlob')}</a>
 		<a id="${randId}-link-strict" href="#${OPT_STRICT}" title="${_('titleStrict')}"><span>\\C</span>${_('linkStrict')}</a>
+		<a id="${randId}-link-verbose" href="#${OPT_VERBOSE}" title="${_('titleVerbose')}"><span>\\E</span>${_('linkVerbose')}</a>
+		<a id="${randId}-link-wholeword" href="#${OPT_WHOLE_WORD}" title="${_('titleWholeWord')}"><span>\\O</span>${_('linkWholeWord')}</a>
+		<a id="${randId}-link-dialect" href="#dialect" title="${_('titleDialect')}"><span></span>${_('linkDialect')}</a>
+		<a id="${randId}-link-live" href="#${OPT_LIVE}" title="${_('titleLive')}"><span></span>${_('linkLive')}</a>
+		<a id="${randId}-link-forms" href="#${OPT_FORMS}" title="${_('titleForms')}"><span></span>${_('linkForms')}</a>
+		<a id="${randId}-link-hidden" href="#${OPT_HIDDEN}" title="${_('titleHidden')}"><span></span>${_('linkHidden')}</a>
+		<a id="${randId}-link-generated" href="#${OPT_GENERATED}" title="${_('titleGenerated')}"><span></span>${_('linkGenerated')}</a>
+		<a id="${randId}-link-ruby" href="#${OPT_RUBY}" title="${_('titleRuby')}"><span></span>${_('linkRuby')}</a>
 	</div>
 </div>
 	`);
@@ -480,10 +677,33 @@ async function openPanel () {
 	$(`${randId}-button`).addEventListener('click', handlePanelButtonClick);
 	$(`${randId}-link-literal`).addEventListener('click', handleLinkButtonClick);
 	$(`${randId}-link-migemo`).addEventListener('click', handleLinkButtonClick);
+	$(`${randId}-link-glob`).addEventListener('click', handleLinkButtonClick);
 	$(`${randId}-link-strict`).addEventListener('click', handleLinkButtonClick);
+	$(`${randId}-link-verbose`).addEventListener('click', handleLinkButtonClick);
+	$(`${randId}-link-wholeword`).addEventListener('click', handleLinkButtonClick);
+	$(`${randId}-link-dialect`).addEventListener('click', handleDialectLinkClick);
+	for (const name in toggles) {
+		$(`${randId}-link-${name}`).addEventListener('click', handleToggleLinkClick);
+	}
 
 	window.addEventListener('resize', windowResizeDebounced);
 
+	let storage;
+	try {
+		storage = await chrome.storage.local.get(
+			[...Object.keys(toggles).map(name => `${name}Mode`), 'dialect']);
+	}
+	catch {
+		storage = {};
+	}
+	for (const name in toggles) {
+		toggles[name] = !!storage[`${name}Mode`];
+		updateToggleLink(name);
+	}
+	dialect = Object.hasOwn(DIALECT_NAMES, storage.dialect) ?
+		storage.dialect : DIALECT.JAVASCRIPT;
+	updateDialectLink();
+
 	await delay(10);
 	panel.style.visibility = 'visible';
 	shellHistory = new ShellHistory;
@@ -511,11 +731,12 @@ function closePanel (searchInfo) {
 	 && foundItems?.length
 	 && typeof foundItemIndex === 'number'
 	 && 0 <= foundItemIndex && foundItemIndex < foundItems.length) {
-		const match = foundItems[foundItemIndex].match;
+		const active = foundItems[foundItemIndex];
+		const match = active.match;
 		const re = [match.text];
 		re.index = match.index;
 
-		const r = searchInfo.sets.reduce((result, set, index) => {
+		const r = active.selection ? null : searchInfo.sets.reduce((result, set, index) => {
 			if (result) {
 				return result;
 			}
@@ -552,6 +773,9 @@ function closePanel (searchInfo) {
 				selection.addRange(r);
 			}
 		}
+		else if (active.selection) {
+			selectFormControlText(active, true);
+		}
 	}
 
 	const text = $(`${randId}-text`);
@@ -563,11 +787,19 @@ function closePanel (searchInfo) {
 	$(`${randId}-button`).removeEventListener('click', handlePanelButtonClick);
 	$(`${randId}-link-literal`).removeEventListener('click', handleLinkButtonClick);
 	$(`${randId}-link-migemo`).removeEventListener('click', handleLinkButtonClick);
+	$(`${randId}-link-glob`).removeEventListener('click', handleLinkButtonClick);
 	$(`${randId}-link-strict`).removeEventListener('click', handleLinkButtonClick);
+	$(`${randId}-link-verbose`).removeEventListener('click', handleLinkButtonClick);
+	$(`${randId}-link-wholeword`).removeEventListener('click', handleLinkButtonClick);
+	$(`${randId}-link-dialect`).removeEventListener('click', handleDialectLinkClick);
+	for (const name in toggles) {
+		$(`${randId}-link-${name}`).removeEventListener('click', handleToggleLinkClick);
+	}
 
 	window.removeEventListener('resize', windowResizeDebounced);
 
 	shellHistory = undefined;
+	pendingCommitArgs = undefined;
 	foundItems = undefined;
 	foundItemIndex = undefined;
 
@@ -595,6 +827,12 @@ function config (con) {
 	if (typeof con?.onClose === 'function') {
 		onClose = con.onClose;
 	}
+	if (typeof con?.onInterrupt === 'function') {
+		onInterrupt = con.onInterrupt;
+	}
+	if (typeof con?.onLiveModeChange === 'function') {
+		onLiveModeChange = con.onLiveModeChange;
+	}
 }
 
 function setHeader (s, isAlart) {
@@ -614,8 +852,11 @@ function setHeaderSeverity (s, isAlert) {
 }
 
 function setMessage (s) {
+	// note: the found items in iframes are handled without the panel
 	const messageDiv = $(`${randId}-message`);
-	messageDiv.textContent = s;
+	if (messageDiv) {
+		messageDiv.textContent = s;
+	}
 }
 
 function showDefaultMessage () {
@@ -659,18 +900,118 @@ function setProgress (p) {
 	}
 }
 
-function requestCommit () {
-	commitPanelTextCore($(`${randId}-text`).value, false, false);
+function requestCommit (isLive) {
+	if (isLive) {
+		// re-run the last final commit, only if its results are still shown
+		if (foundItems && typeof lastCommitText === 'string') {
+			commitPanelTextCore(lastCommitText, true, false, true);
+		}
+	}
+	else {
+		commitPanelTextCore($(`${randId}-text`).value, false, false);
+	}
 }
 
 function isOpened () {
 	return !!$(randId);
 }
 
+function isLiveMode () {
+	return toggles[OPT_LIVE];
+}
+
+function updateDialectLink () {
+	const link = $(`${randId}-link-dialect`);
+	if (link) {
+		link.classList.toggle(`${randId}-on`, dialect !== DIALECT.JAVASCRIPT);
+		link.firstChild.textContent = DIALECT_NAMES[dialect];
+	}
+}
+
+function updateToggleLink (name) {
+	const link = $(`${randId}-link-${name}`);
+	if (link) {
+		link.classList.toggle(`${randId}-on`, toggles[name]);
+		link.firstChild.textContent = toggles[name] ? 'ON' : 'OFF';
+	}
+}
+
 /*
  * commit functions
  */
 
+function getSpecifiers (text) {
+	/*
+	 * the mode specifiers are recognized only in the run at the beginning
+	 * of the text. the same escapes in the rest belong to the pattern,
+	 * such as \O of vim or \G in a glob 'C:\Games\*'
+	 */
+	return /^(?:\\[LMGCVEO])*/.exec(text)[0];
+}
+
+function parseSpecifiers (text) {
+	/*
+	 * returns the options given by the mode specifiers,
+	 * and the rest of the text as the pattern
+	 */
+	const specifiers = getSpecifiers(text);
+	const result = {
+		mode: MODE.REGEX,
+		strict: false,
+		unicodeSets: false,
+		verbose: false,
+		wholeWord: false,
+		pattern: text.substring(specifiers.length)
+	};
+	for (const specifier of specifiers.match(/[A-Z]/g) ?? []) {
+		switch (specifier) {
+		case 'L': result.mode = MODE.LITERAL; break;
+		case 'M': result.mode = MODE.MIGEMO; break;
+		case 'G': result.mode = MODE.GLOB; break;
+		case 'C': result.strict = true; break;
+		case 'V': result.unicodeSets = true; break;
+		case 'E': result.verbose = true; break;
+		case 'O': result.wholeWord = true; break;
+		}
+	}
+	return result;
+}
+
+function getEraseStart (text, start, isLine) {
+	/*
+	 * adjusts the start of the range erased backward by c-w (or c-u if
+	 * 'isLine') so that the mode specifiers are kept. they are erased
+	 * one by one only if nothing follows them.
+	 */
+	const specifiers = getSpecifiers(text);
+	if (specifiers == '') {
+		return start;
+	}
+	if (specifiers.length < text.length) {
+		return isLine ? specifiers.length : Math.max(start, specifiers.length);
+	}
+	return isLine ? start : start - start % 2;
+}
+
+function isVerboseText (text) {
+	return getSpecifiers(text).includes('\\E');
+}
+
+function updatePanelTextRows () {
+	/*
+	 * the text area grows into a multi-line editor in the verbose mode,
+	 * and is a single line otherwise
+	 */
+	const text = $(`${randId}-text`);
+	if (!text) return;
+
+	const verbose = isVerboseText(text.value);
+	text.rows = verbose ?
+		Math.min(Math.max(text.value.split('\n').length, VERBOSE_ROWS_MIN), VERBOSE_ROWS_MAX) :
+		1;
+	text.classList.toggle(`${randId}-verbose`, verbose);
+}
+
 function commitPanelText (text, isFinal, isShift) {
 	if (isFinal) {
 		if (text === lastCommitText && foundItems) {
@@ -688,35 +1029,45 @@ function commitPanelText (text, isFinal, isShift) {
 	}
 }
 
-function commitPanelTextCore (text, isFinal, isShift) {
-	// parse the mode specifiers
-	let mode = MODE.REGEX;
-	let strict = false;
-	let strictMessage = '';
-	text = text.replace(/(?<!\\)\\([LMC])/g, ($0, specifier) => {
-		switch (specifier) {
-		case 'L': mode = MODE.LITERAL; break;
-		case 'M': mode = MODE.MIGEMO; break;
-		case 'C':
-			strict = true;
-			strictMessage = _('strict');
-			break;
+function commitPanelTextCore (text, isFinal, isShift, isLive) {
+	/*
+	 * if the previous commit is still running, interrupt it and
+	 * commit the newest text after it finishes.
+	 */
+	if (runningListeners.has(onCommitText)) {
+		if (isLive && pendingCommitArgs) {
+			// a commit by the user takes precedence
+			return;
 		}
-		return '';
-	});
+		pendingCommitArgs = [text, isFinal, isShift, isLive];
+		invokeListener(onInterrupt);
+		return;
+	}
+
+	// parse the mode specifiers
+	const {mode, strict, unicodeSets, verbose, wholeWord, pattern} = parseSpecifiers(text);
+	const strictMessage = strict ? _('strict') : '';
+	const wholeWordMessage = wholeWord ? _('wholeWord') : '';
+	text = pattern;
 
 	// update the header text
 	switch (mode) {
 	case MODE.REGEX:
-		setHeader(`${strictMessage}${_('regex')}:`);
+		setHeader(dialect === DIALECT.JAVASCRIPT ?
+			`${wholeWordMessage}${strictMessage}${_('regex')}:` :
+			`${wholeWordMessage}${strictMessage}${_('regex')} (${DIALECT_NAMES[dialect]}):`);
 		break;
 
 	case MODE.LITERAL:
-		setHeader(`${strictMessage}${_('literal')}:`);
+		setHeader(`${wholeWordMessage}${strictMessage}${_('literal')}:`);
 		break;
 
 	case MODE.MIGEMO:
-		setHeader(`${strictMessage}${_('migemo')}:`);
+		setHeader(`${wholeWordMessage}${strictMessage}${_('migemo')}:`);
+		break;
+
+	case MODE.GLOB:
+		setHeader(`${wholeWordMessage}${strictMessage}${_('glob')}:`);
 		break;
 	}
 
@@ -725,13 +1076,48 @@ function commitPanelTextCore (text, isFinal, isShift) {
 		invalidateFoundItems();
 	}
 
-	invokeListener(onCommitText, text, {isFinal, mode, strict});
+	invokeListener(onCommitText, text, {
+		isFinal, mode, strict, unicodeSets, verbose, wholeWord, dialect, isLive,
+		forms: toggles[OPT_FORMS],
+		hidden: toggles[OPT_HIDDEN],
+		generated: toggles[OPT_GENERATED],
+		ruby: toggles[OPT_RUBY]
+	})?.then(() => {
+		if (pendingCommitArgs) {
+			const args = pendingCommitArgs;
+			pendingCommitArgs = undefined;
+			commitPanelTextCore(...args);
+		}
+	});
 }
 
 /*
  * found item list functions
  */
 
+function getActiveFoundItemAnchor () {
+	/*
+	 * returns a collapsed live range at the start of the active found item.
+	 * it survives reverting the emphasis and mutations around it, so that
+	 * the same match can be activated again after a re-search.
+	 */
+	if (!foundItems?.length
+	 || typeof foundItemIndex !== 'number'
+	 || foundItemIndex < 0 || foundItemIndex >= foundItems.length) {
+		return;
+	}
+
+	const node = foundItems[foundItemIndex].nodes?.[0];
+	if (!node?.isConnected) {
+		return;
+	}
+
+	const r = document.createRange();
+	r.setStartBefore(node);
+	r.collapse(true);
+	return r;
+}
+
 function openFoundItemList () {
 	revertFoundItems();
 	foundItems = [];
@@ -741,12 +1127,6 @@ function closeFoundItemList () {
 }
 
 function addFoundItem (range) {
-	if (foundItems.length
-	 && range.target && foundItems[foundItems.length - 1].target
-	 && range.target === foundItems[foundItems.length - 1].target) {
-		return;
-	}
-
 	range.index = foundItems.length;
 	/*
 	 * foundItems (before emphasis) = [
@@ -767,6 +1147,15 @@ function addFoundItem (range) {
 	 *       textNodeIndex: <number>
 	 *     }
 	 *   }
+	 *
+	 *   or, a match in a cross-origin iframe (highlighted by the iframe itself):
+	 *
+	 *   {
+	 *     index: <number>
+	 *     match: {...}
+	 *     target: <HTMLIFrameElement>
+	 *     frameKey: <number>
+	 *   }
 	 * ]
 	 */
 	foundItems.push(range);
@@ -776,7 +1165,7 @@ function removeLastFoundItem () {
 	foundItems.pop();
 }
 
-function emphasisFoundItems () {
+function emphasisFoundItems (anchor) {
 	function removeSurroundingEmptyTextNodes (node) {
 		if (node.previousSibling?.nodeType === 3
 		 && node.previousSibling.nodeValue === '') {
@@ -789,10 +1178,44 @@ function emphasisFoundItems () {
 		}
 	}
 
+	function createWrap (textNode, className) {
+		/*
+		 * an html element in svg is not rendered at all, so the texts
+		 * in svg are wrapped by tspan instead.
+		 */
+		const parent = textNode.parentNode;
+		const wrap = parent.namespaceURI === SVG_NS && parent.localName !== 'foreignObject' ?
+			document.createElementNS(SVG_NS, 'tspan') :
+			document.createElement('span');
+		wrap.setAttribute('class', `${randId}-emphasis-${className}`);
+		return wrap;
+	}
+
 	function getEmphasisRect (fi) {
-		if (fi.target) {
+		if (fi.targets) {
+			r.setStartBefore(fi.targets[0]);
+			r.setEndAfter(fi.targets[fi.targets.length - 1]);
+			return r.getBoundingClientRect();
+		}
+		else if (fi.target) {
 			return fi.target.getBoundingClientRect();
 		}
+		else if (fi.textNodes) {
+			// a range across shadow boundaries: unite the rects of both ends
+			r.setStart(fi.start.textNode, fi.start.textNodeIndex);
+			r.setEnd(fi.start.textNode, fi.start.textNode.nodeValue.length);
+			const rect1 = r.getBoundingClientRect();
+			r.setStart(fi.end.textNode, 0);
+			r.setEnd(fi.end.textNode, fi.end.textNodeIndex);
+			const rect2 = r.getBoundingClientRect();
+			const left = Math.min(rect1.left, rect2.left);
+			const top = Math.min(rect1.top, rect2.top);
+			return {
+				left, top,
+				width: Math.max(rect1.right, rect2.right) - left,
+				height: Math.max(rect1.bottom, rect2.bottom) - top
+			};
+		}
 		else {
 			try {
 				r.setStart(fi.start.textNode, fi.start.textNodeIndex);
@@ -812,6 +1235,29 @@ function emphasisFoundItems () {
 
 	if (!foundItems) return;
 
+	// the found item to be activated instead of the one in the viewport:
+	// the index of the item, or a range which the item follows
+	let anchoredIndex;
+	if (typeof anchor === 'number') {
+		anchoredIndex = anchor;
+	}
+	else if (anchor?.startContainer.isConnected) {
+		for (const fi of foundItems) {
+			try {
+				const cmp = fi.target ?
+					anchor.comparePoint(fi.target, 0) :
+					anchor.comparePoint(fi.start.textNode, fi.start.textNodeIndex);
+				if (cmp >= 0) {
+					anchoredIndex = fi.index;
+					break;
+				}
+			}
+			catch {
+				continue;
+			}
+		}
+	}
+
 	const clientWidth = document.documentElement.clientWidth || 1920;
 	const clientHeight = document.documentElement.clientHeight || 1080;
 	const scrollWidth = document.documentElement.scrollWidth || 1920;
@@ -829,10 +1275,11 @@ function emphasisFoundItems () {
 		const fi = foundItems[i];
 		const fi2 = {index: fi.index, match: fi.match, nodes: []};
 		const rect = getEmphasisRect(fi);
+		const offset = getFrameOffset(fi.start?.textNode ?? fi.target);
 
 		fi2.isFixed = isFixedPosition(fi.start?.textNode ?? fi.target) ? 1 : 0;
-		fi2.left = rect.left + (fi2.isFixed ? 0 : window.scrollX);
-		fi2.top = rect.top + (fi2.isFixed ? 0 : window.scrollY);
+		fi2.left = rect.left + offset.left + (fi2.isFixed ? 0 : window.scrollX);
+		fi2.top = rect.top + offset.top + (fi2.isFixed ? 0 : window.scrollY);
 		fi2.width = rect.width;
 		fi2.height = rect.height;
 		fi2.goalScrollX = Math.max(0, fi2.left - screenWidthHalf);
@@ -845,27 +1292,43 @@ function emphasisFoundItems () {
 			continue;
 		}
 
-		if (fi.target) {
+		if (fi.target && fi.frameKey !== undefined) {
+			// the iframe highlights its own matches
+			fi2.frameKey = fi.frameKey;
 			fi2.nodes.push(fi.target);
-			fi.target.className = `${randId}-emphasis-C`;
 			foundItems[i] = fi2;
 			continue;
 		}
 
+		if (fi.target) {
+			for (const target of fi.targets ?? [fi.target]) {
+				prepareEmphasisRoot(target);
+				fi2.nodes.push(target);
+				target.classList.add(`${randId}-emphasis-C`);
+			}
+			if (fi.selection) {
+				fi2.selection = fi.selection;
+			}
+			foundItems[i] = fi2;
+			continue;
+		}
+
+		for (const node of fi.textNodes ?? [fi.start.textNode, fi.end.textNode]) {
+			prepareEmphasisRoot(node);
+		}
+
 		if (fi.start.textNode === fi.end.textNode) {
 			if (fi.start.textNodeIndex === 0
 			 && fi.end.textNodeIndex === fi.end.textNode.nodeValue.length) {
 				// class B
-				const wrap = document.createElement('span');
-				wrap.className = `${randId}-emphasis-B`;
+				const wrap = createWrap(fi.start.textNode, 'B');
 				r.selectNode(fi.start.textNode);
 				r.surroundContents(wrap);
 				fi2.nodes.push(wrap);
 			}
 			else {
 				// class A
-				const wrap = document.createElement('span');
-				wrap.className = `${randId}-emphasis-A`;
+				const wrap = createWrap(fi.start.textNode, 'A');
 				r.setStart(fi.start.textNode, fi.start.textNodeIndex);
 				r.setEnd(fi.end.textNode, fi.end.textNodeIndex);
 				r.surroundContents(wrap);
@@ -875,45 +1338,55 @@ function emphasisFoundItems () {
 		}
 		else {
 			// class C
-			try {
-				r.setStart(fi.start.textNode, fi.start.textNodeIndex);
-				r.setEnd(fi.end.textNode, fi.end.textNodeIndex);
-			}
-			catch {
-				console.log([
-					`*** class C range error on #${i} ***`,
-					`start: ${tag(fi.start.textNode.parentNode)} index: ${fi.start.textNodeIndex}`,
-					`  end: ${tag(fi.end.textNode.parentNode)} index: ${fi.end.textNodeIndex}`,
-					`range: "${esc(r.toString())}"`
-				].join('\n'));
+			if (fi.textNodes) {
+				// across shadow boundaries, a range can not contain the middle
+				// of the match: wrap each text node instead
+				for (const node of fi.textNodes.slice(1, -1)) {
+					const wrap = createWrap(node, 'B');
+					r.selectNode(node);
+					r.surroundContents(wrap);
+					fi2.nodes.push(wrap);
+				}
 			}
+			else {
+				try {
+					r.setStart(fi.start.textNode, fi.start.textNodeIndex);
+					r.setEnd(fi.end.textNode, fi.end.textNodeIndex);
+				}
+				catch {
+					console.log([
+						`*** class C range error on #${i} ***`,
+						`start: ${tag(fi.start.textNode.parentNode)} index: ${fi.start.textNodeIndex}`,
+						`  end: ${tag(fi.end.textNode.parentNode)} index: ${fi.end.textNodeIndex}`,
+						`range: "${esc(r.toString())}"`
+					].join('\n'));
+				}
 
-			const itor = document.createNodeIterator(
-				r.commonAncestorContainer,
-				window.NodeFilter.SHOW_ELEMENT,
-				node => {
-					const thisRange = document.createRange();
-					thisRange.selectNode(node);
-					return r.compareBoundaryPoints(Range.START_TO_START, thisRange) <= 0
-						&& r.compareBoundaryPoints(Range.END_TO_END, thisRange) >= 0;
-				});
-			for (let node; node = itor.nextNode(); ) {
-				node.classList.add(`${randId}-emphasis-C`);
-				fi2.nodes.push(node);
+				const itor = document.createNodeIterator(
+					r.commonAncestorContainer,
+					window.NodeFilter.SHOW_ELEMENT,
+					node => {
+						const thisRange = document.createRange();
+						thisRange.selectNode(node);
+						return r.compareBoundaryPoints(Range.START_TO_START, thisRange) <= 0
+							&& r.compareBoundaryPoints(Range.END_TO_END, thisRange) >= 0;
+					});
+				for (let node; node = itor.nextNode(); ) {
+					node.classList.add(`${randId}-emphasis-C`);
+					fi2.nodes.push(node);
+				}
 			}
 
 			if (fi.start.textNodeIndex === 0) {
 				// left text: class B
-				const wrap = document.createElement('span');
-				wrap.className = `${randId}-emphasis-B`;
+				const wrap = createWrap(fi.start.textNode, 'B');
 				r.selectNode(fi.start.textNode);
 				r.surroundContents(wrap);
 				fi2.nodes.unshift(wrap);
 			}
 			else {
 				// left text: class A
-				const wrap = document.createElement('span');
-				wrap.className = `${randId}-emphasis-A`;
+				const wrap = createWrap(fi.start.textNode, 'A');
 				r.setStart(fi.start.textNode, fi.start.textNodeIndex);
 				r.setEnd(fi.start.textNode, fi.start.textNode.nodeValue.length);
 				r.surroundContents(wrap);
@@ -923,16 +1396,14 @@ function emphasisFoundItems () {
 
 			if (fi.end.textNodeIndex === fi.end.textNode.nodeValue.length) {
 				// right text: class B
-				const wrap = document.createElement('span');
-				wrap.className = `${randId}-emphasis-B`;
+				const wrap = createWrap(fi.end.textNode, 'B');
 				r.selectNode(fi.end.textNode);
 				r.surroundContents(wrap);
 				fi2.nodes.push(wrap);
 			}
 			else {
 				// right text: class A
-				const wrap = document.createElement('span');
-				wrap.className = `${randId}-emphasis-A`;
+				const wrap = createWrap(fi.end.textNode, 'A');
 				r.setStart(fi.end.textNode, 0);
 				r.setEnd(fi.end.textNode, fi.end.textNodeIndex);
 				r.surroundContents(wrap);
@@ -970,8 +1441,8 @@ function emphasisFoundItems () {
 			|| a.index - b.index;
 	});
 
-	foundItemIndex = -1;
-	for (let i = 0; i < foundItems.length; i++) {
+	foundItemIndex = foundItems.findIndex(fi => fi.index === anchoredIndex);
+	for (let i = 0; foundItemIndex < 0 && i < foundItems.length; i++) {
 		const fi = foundItems[i];
 		if (screenLeft <= fi.left && fi.left < screenRight
 		 && screenTop <= fi.top && fi.top < screenBottom) {
@@ -1023,7 +1494,7 @@ function revertFoundItems () {
 
 	const r = document.createRange();
 
-	for (const elm of [...document.querySelectorAll(`.${randId}-emphasis-A`)]) {
+	for (const elm of queryEmphasis(`.${randId}-emphasis-A`)) {
 		const parent = elm.parentNode;
 		r.selectNodeContents(elm);
 		const df = r.extractContents();
@@ -1032,7 +1503,7 @@ function revertFoundItems () {
 		parent.normalize();
 	}
 
-	for (const elm of [...document.querySelectorAll(`.${randId}-emphasis-B`)]) {
+	for (const elm of queryEmphasis(`.${randId}-emphasis-B`)) {
 		const parent = elm.parentNode;
 		r.selectNodeContents(elm);
 		const df = r.extractContents();
@@ -1041,7 +1512,7 @@ function revertFoundItems () {
 	}
 
 	const pattern = new RegExp(`(\\s*)${randId}-emphasis-C(\\s*)`, 'g');
-	for (const elm of [...document.querySelectorAll(`.${randId}-emphasis-C`)]) {
+	for (const elm of queryEmphasis(`.${randId}-emphasis-C`)) {
 		elm.classList.remove(`${randId}-emphasis-C`);
 		if (elm.classList.length === 0) {
 			elm.removeAttribute('class');
@@ -1052,6 +1523,8 @@ function revertFoundItems () {
 		activeFoundItemBorder.dispose();
 		activeFoundItemBorder = undefined;
 	}
+
+	emphasisRoots.clear();
 }
 
 function activateNextFoundItem () {
@@ -1068,47 +1541,67 @@ function activatePreviousFoundItem () {
 	}
 }
 
-function activateFoundItem (index) {
+function activateFoundItem (index, preventScroll) {
 	if (!foundItems) return;
 
 	if (typeof index !== 'number') index = foundItemIndex;
 	if (index < 0 || index >= foundItems.length) return;
 	
 	const fi = foundItems[index];
+
+	// the geometry of a hidden item is available after it is revealed
+	if (fi.frameKey === undefined && revealFoundItem(fi)) {
+		updateFoundItemGeometry(fi);
+	}
+
 	const needSmoothScroll = Math.abs(window.scrollY - fi.goalScrollY) < document.documentElement.clientHeight * SMOOTH_SCROLL_THRESHOLD_SCREEN_HEIGHT_FACTOR;
 
-	fi.nodes[0].scrollIntoView({
-		block: 'center',
-		inline: 'nearest',
-		behavior: needSmoothScroll ? 'smooth' : 'instant'
-	});
+	if (!preventScroll) {
+		fi.nodes[0].scrollIntoView({
+			block: 'center',
+			inline: 'nearest',
+			behavior: needSmoothScroll ? 'smooth' : 'instant'
+		});
+	}
+
+	// remove all existing active ranges, and existing active border
+	deactivateFoundItems();
+
+	// the active range in an iframe is marked by the iframe itself
+	if (fi.frameKey === undefined) {
+		// mark new active range
+		for (const elm of fi.nodes) {
+			elm.classList.add(`${randId}-active`);
+		}
 
-	// remove all existing active ranges
+		// create new active border
+		activeFoundItemBorder = new MarchingAntsBorder(fi, MARCHING_ANTS_WIDTH);
+		activeFoundItemBorder.start();
+	}
+
+	// a match in a form control is also selected in the control.
+	// it is focused when the panel is closed.
+	if (fi.selection) {
+		selectFormControlText(fi);
+	}
+
+	showFoundMessage();
+}
+
+function deactivateFoundItems () {
 	const selector = ['A', 'B', 'C']
 		.map(ch => `.${randId}-emphasis-${ch}.${randId}-active`)
 		.join(',');
-	for (const elm of document.querySelectorAll(selector)) {
+	for (const elm of queryEmphasis(selector)) {
 		elm.classList.remove(`${randId}-active`);
 		// note: after removing the active class name,
 		// the className is NOT empty because the emphasis class should remain.
 	}
 
-	// mark new active range
-	for (const elm of fi.nodes) {
-		elm.classList.add(`${randId}-active`);
-	}
-
-	// remove existing active border
 	if (activeFoundItemBorder) {
 		activeFoundItemBorder.dispose();
 		activeFoundItemBorder = undefined;
 	}
-
-	// create new active border
-	activeFoundItemBorder = new MarchingAntsBorder(fi, MARCHING_ANTS_WIDTH);
-	activeFoundItemBorder.start();
-
-	showFoundMessage();
 }
 
 function invalidateFoundItems () {
@@ -1238,6 +1731,14 @@ function handlePanelTextKeyDown (e) {
 function handlePanelTextInput (e) {
 	if (e.isComposing) return;
 	if (e.target.dataset.isComposing) return;
+	if (!isVerboseText(e.target.value) && e.target.value.includes('\n')) {
+		// new lines are not allowed out of the verbose mode, as <input>
+		const ss = e.target.selectionStart;
+		const before = e.target.value.substring(0, ss).replace(/\n/g, '');
+		e.target.value = before + e.target.value.substring(ss).replace(/\n/g, '');
+		e.target.setSelectionRange(before.length, before.length);
+	}
+	updatePanelTextRows();
 	commitPanelText(e.target.value);
 }
 
@@ -1255,6 +1756,39 @@ function handlePanelButtonClick (e) {
 	commitPanelText($(`${randId}-text`).value, true);
 }
 
+function handleToggleLinkClick (e) {
+	e.preventDefault();
+
+	const name = e.currentTarget.href.match(/#(.+)/)[1];
+	toggles[name] = !toggles[name];
+	updateToggleLink(name);
+	chrome.storage.local.set({[`${name}Mode`]: toggles[name]}).catch(err => {});
+
+	switch (name) {
+	case OPT_FORMS:
+	case OPT_HIDDEN:
+	case OPT_GENERATED:
+	case OPT_RUBY:
+		// the index changes, so search again
+		commitPanelText($(`${randId}-text`).value);
+		break;
+	case OPT_LIVE:
+		invokeListener(onLiveModeChange, toggles[name]);
+		break;
+	}
+}
+
+function handleDialectLinkClick (e) {
+	e.preventDefault();
+
+	// JavaScript -> Emacs -> Vim \v -> Vim \V -> JavaScript ...
+	const dialects = Object.values(DIALECT);
+	dialect = dialects[(dialects.indexOf(dialect) + 1) % dialects.length];
+	updateDialectLink();
+	chrome.storage.local.set({dialect}).catch(err => {});
+	commitPanelText($(`${randId}-text`).value);
+}
+
 function handleLinkButtonClick (e) {
 	e.preventDefault();
 
@@ -1266,28 +1800,38 @@ function handleLinkButtonClick (e) {
 	case MODE.MIGEMO:
 		meta = '\\M';
 		break;
+	case MODE.GLOB:
+		meta = '\\G';
+		break;
 	case OPT_STRICT:
 		meta = '\\C';
 		break;
+	case OPT_VERBOSE:
+		meta = '\\E';
+		break;
+	case OPT_WHOLE_WORD:
+		meta = '\\O';
+		break;
 	}
 
 	if (meta) {
 		const text = $(`${randId}-text`);
-		const tester = new RegExp(`(?<!\\\\)\\\\${meta.charAt(1)}`);
+		const specifiers = getSpecifiers(text.value);
 		let value = text.value;
 		let ss = text.selectionStart;
 		let se = text.selectionEnd;
 
-		if (tester.test(value)) {
-			let re;
-			while ((re = tester.exec(value)) !== null) {
-				const index = re.index;
+		if (specifiers.match(/\\[A-Z]/g)?.includes(meta)) {
+			for (let index = specifiers.length - meta.length; index >= 0; index -= meta.length) {
+				if (value.substr(index, meta.length) != meta) {
+					continue;
+				}
 				value = value.substring(0, index) + value.substring(index + meta.length);
-				if (index <= ss) {
-					ss -= meta.length;
+				if (index < ss) {
+					ss = Math.max(index, ss - meta.length);
 				}
-				if (index <= se) {
-					se -= meta.length;
+				if (index < se) {
+					se = Math.max(index, se - meta.length);
 				}
 			}
 		}
@@ -1299,6 +1843,7 @@ function handleLinkButtonClick (e) {
 		text.value = value;
 		text.selectionStart = ss;
 		text.selectionEnd = se;
+		updatePanelTextRows();
 		commitPanelText(text.value);
 	}
 }
@@ -1307,9 +1852,10 @@ export {
 	openPanel as open,
 	closePanel as close,
 	foundItemList,
-	config,
+	config, createStyle,
 	setHeader, setHeaderSeverity,
 	setMessage, showDefaultMessage, showProcessingMessage, showFoundMessage,
-	setProgress, requestCommit, isOpened,
+	setProgress, requestCommit, isOpened, isLiveMode,
+	parseSpecifiers, getEraseStart,
 	randId as id
 };
@@ -143,6 +143,10 @@ export function getStyle (id, style) {
 	text-shadow:none;
 }
 
+#${id} .${id}-footer a.${id}-on span {
+	background-color:#c60;
+}
+
 #${id}-text {
 	box-sizing:border-box;
 	width:auto;
@@ -154,6 +158,14 @@ export function getStyle (id, style) {
 	border-radius:3px;
 	font-family:monospace;
 	font-size:small;
+	line-height:normal;
+	white-space:pre;
+	overflow:hidden;
+	resize:none;
+}
+
+#${id}-text.${id}-verbose {
+	overflow:auto;
 }
 
 #${id}-text:focus {
@@ -198,6 +210,26 @@ export function getStyle (id, style) {
 	color:#333 !important;
 }
 
+ruby.${id}-emphasis-C {
+	display:ruby !important;
+}
+
+svg .${id}-emphasis-A,
+svg .${id}-emphasis-B,
+svg .${id}-emphasis-C {
+	fill:#333 !important;
+	stroke:#ffff00 !important;
+	stroke-width:.4em !important;
+	stroke-linejoin:round !important;
+	paint-order:stroke !important;
+}
+
+svg .${id}-emphasis-A.${id}-active,
+svg .${id}-emphasis-B.${id}-active,
+svg .${id}-emphasis-C.${id}-active {
+	stroke:#ff9632 !important;
+}
+
 .${id}-active-border {
 	position:fixed;
 	background-image:url(${chrome.runtime.getURL('image/march-ants.gif')});
@@ -0,0 +1,624 @@
+/*
+ * Search Cobb
+ *
+ * @author akahuku@gmail.com
+ */
+/**
+ * Copyright 2024 akahuku, akahuku@gmail.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {DIALECT} from './common.js';
+
+/*
+ * consts
+ */
+
+export const DIALECT_NAMES = {
+	[DIALECT.JAVASCRIPT]: 'JavaScript',
+	[DIALECT.EMACS]: 'Emacs',
+	[DIALECT.VIM_VERY_MAGIC]: 'Vim \\v',
+	[DIALECT.VIM_VERY_NOMAGIC]: 'Vim \\V'
+};
+
+/*
+ * the word constituents of Emacs, and the keyword characters of Vim.
+ * '\w' of javascript is ascii only even with the 'u' flag, so they are
+ * spelled out to include the letters of any script. '_' is not a word
+ * constituent in Emacs, where it has the symbol syntax.
+ */
+const WORD_CHARS = '\\p{L}\\p{M}\\p{N}';
+const WORD = `[${WORD_CHARS}]`;
+const NON_WORD = `[^${WORD_CHARS}]`;
+const KEYWORD = `[${WORD_CHARS}_]`;
+
+/*
+ * the character classes in bracket expressions, such as [[:alpha:]]
+ */
+const POSIX_CLASSES = {
+	alnum: '\\p{L}\\p{N}',
+	alpha: '\\p{L}',
+	ascii: '\\x00-\\x7f',
+	backspace: '\\x08',
+	blank: '\\p{Zs}\\t',
+	cntrl: '\\p{Cc}',
+	digit: '0-9',
+	escape: '\\x1b',
+	graph: '\\p{L}\\p{M}\\p{N}\\p{P}\\p{S}',
+	lower: '\\p{Ll}',
+	multibyte: '\\u{80}-\\u{10ffff}',
+	nonascii: '\\u{80}-\\u{10ffff}',
+	print: '\\p{L}\\p{M}\\p{N}\\p{P}\\p{S}\\p{Zs}',
+	punct: '\\p{P}',
+	return: '\\r',
+	space: '\\s',
+	tab: '\\t',
+	unibyte: '\\x00-\\x7f',
+	upper: '\\p{Lu}',
+	word: WORD_CHARS,
+	xdigit: '0-9A-Fa-f'
+};
+
+/*
+ * the characters which have special meanings without a backslash
+ * in the very magic mode, and with a backslash in the very nomagic mode
+ */
+const VIM_SPECIALS = new Set([
+	'(', ')', '|', '&', '{', '*', '+', '?', '=', '@', '%',
+	'<', '>', '.', '[', '~', '^', '$'
+]);
+const VIM_CLASS_ESCAPES = {
+	'a': '[A-Za-z]', 'A': '[^A-Za-z]',
+	'd': '\\d', 'D': '\\D',
+	'h': '[A-Za-z_]', 'H': '[^A-Za-z_]',
+	'l': '[a-z]', 'L': '[^a-z]',
+	'o': '[0-7]', 'O': '[^0-7]',
+	's': '\\s', 'S': '\\S',
+	'u': '[A-Z]', 'U': '[^A-Z]',
+	'w': '\\w', 'W': '\\W',
+	'x': '[0-9A-Fa-f]', 'X': '[^0-9A-Fa-f]'
+};
+const VIM_CONTROL_ESCAPES = {
+	'b': '\\x08', 'e': '\\x1b', 'n': '\\n', 'r': '\\r', 't': '\\t'
+};
+
+const WORD_START = `(?<!${WORD})(?=${WORD})`;
+const WORD_END = `(?<=${WORD})(?!${WORD})`;
+const WORD_BOUNDARY = `(?:${WORD_START}|${WORD_END})`;
+const NON_WORD_BOUNDARY = `(?:(?<=${WORD})(?=${WORD})|(?<!${WORD})(?!${WORD}))`;
+const KEYWORD_START = `(?<!${KEYWORD})(?=${KEYWORD})`;
+const KEYWORD_END = `(?<=${KEYWORD})(?!${KEYWORD})`;
+
+/*
+ * the postfix operators of Emacs, as [min, max]
+ */
+const EMACS_POSTFIX_RANGES = {
+	'*': [0, Infinity],
+	'+': [1, Infinity],
+	'?': [0, 1]
+};
+const TEXT_START = '(?<![^])';
+const TEXT_END = '(?![^])';
+
+/*
+ * functions
+ */
+
+function createUntranslatableError (construct, dialect) {
+	const err = new Error(`translateDialect: ${construct} of ${DIALECT_NAMES[dialect]} can not be translated`);
+	err.name = 'DialectError';
+	err.construct = construct;
+	err.dialectName = DIALECT_NAMES[dialect];
+	return err;
+}
+
+function escapeLiteral (ch) {
+	return ch.replace(/[\\^$.*+?()[\]{}|\/]/g, '\\$&');
+}
+
+function toClassChar (cp) {
+	if (cp > 0x10ffff) {
+		throw new SyntaxError('Invalid code point');
+	}
+	return `\\u{${cp.toString(16)}}`;
+}
+
+function combineEmacsPostfix (op1, op2) {
+	/*
+	 * Emacs applies consecutive postfix operators to the same atom,
+	 * so that 'a**' is 'a*' and 'a+*' is 'a*'.
+	 * returns the single operator, or null for the other combinations.
+	 */
+	if (!Object.hasOwn(EMACS_POSTFIX_RANGES, op1)
+	 || !Object.hasOwn(EMACS_POSTFIX_RANGES, op2)) {
+		return null;
+	}
+	const [min1, max1] = EMACS_POSTFIX_RANGES[op1];
+	const [min2, max2] = EMACS_POSTFIX_RANGES[op2];
+	const min = min1 * min2;
+	const max = max1 * max2;
+	return Object.keys(EMACS_POSTFIX_RANGES).find(op => {
+		const range = EMACS_POSTFIX_RANGES[op];
+		return range[0] === min && range[1] === max;
+	}) ?? null;
+}
+
+function createBuilder () {
+	/*
+	 * the translated source. 'atomStart' is the index of the last atom
+	 * which a quantifier or a lookaround can be applied to, or -1.
+	 * 'quantifierStart' is the index of the quantifier just applied to
+	 * the atom, or -1.
+	 */
+	return {
+		result: '',
+		atomStart: -1,
+		quantifierStart: -1,
+		branchStart: true,
+		groups: [],
+
+		atom (s) {
+			this.atomStart = this.result.length;
+			this.quantifierStart = -1;
+			this.result += s;
+			this.branchStart = false;
+		},
+		assertion (s) {
+			this.atomStart = -1;
+			this.quantifierStart = -1;
+			this.result += s;
+			this.branchStart = false;
+		},
+		quantifier (s) {
+			this.quantifierStart = this.result.length;
+			this.result += s;
+		},
+		popQuantifier () {
+			// removes the quantifier just applied, and returns it
+			const s = this.result.substring(this.quantifierStart);
+			this.result = this.result.substring(0, this.quantifierStart);
+			this.quantifierStart = -1;
+			return s;
+		},
+		open (prefix) {
+			this.groups.push(this.result.length);
+			this.result += prefix;
+			this.atomStart = -1;
+			this.quantifierStart = -1;
+			this.branchStart = true;
+		},
+		close () {
+			this.atomStart = this.groups.length ? this.groups.pop() : -1;
+			this.quantifierStart = -1;
+			this.result += ')';
+			this.branchStart = false;
+		},
+		alternate () {
+			this.result += '|';
+			this.atomStart = -1;
+			this.quantifierStart = -1;
+			this.branchStart = true;
+		},
+		wrapAtom (prefix) {
+			// A -> (?=A)
+			const atom = this.result.substring(this.atomStart);
+			this.result = `${this.result.substring(0, this.atomStart)}${prefix}${atom})`;
+			this.atomStart = -1;
+			this.quantifierStart = -1;
+		}
+	};
+}
+
+function translateBracket (source, index, dialect) {
+	/*
+	 * translates a bracket expression which starts just before 'index'.
+	 * a ']' just after '[' or '[^' is literal. a backslash is literal
+	 * in Emacs, and is an escape in Vim.
+	 *
+	 * returns {result, end}, or null if the bracket is not closed.
+	 */
+	const backslash = dialect !== DIALECT.EMACS;
+	let result = '[';
+
+	if (source.charAt(index) === '^') {
+		result += '^';
+		index++;
+	}
+	if (source.charAt(index) === ']') {
+		result += '\\]';
+		index++;
+	}
+
+	while (index < source.length) {
+		const rest = source.substring(index);
+		let re;
+
+		if (rest.startsWith(']')) {
+			return {result: `${result}]`, end: index + 1};
+		}
+		else if ((re = /^\[([:=.])(.*?)\1\]/.exec(rest)) !== null) {
+			if (re[1] !== ':' || !Object.hasOwn(POSIX_CLASSES, re[2])) {
+				throw createUntranslatableError(re[0], dialect);
+			}
+			result += POSIX_CLASSES[re[2]];
+			index += re[0].length;
+		}
+		else if (rest.startsWith('\\') && backslash
+		 && (re = /^\\(?:([betnr])|([\\\]^-])|d(\d+)|o([0-7]{1,4})|x([0-9a-fA-F]{1,2})|u([0-9a-fA-F]{1,4})|U([0-9a-fA-F]{1,8}))/.exec(rest)) !== null) {
+			if (re[1]) {
+				result += VIM_CONTROL_ESCAPES[re[1]];
+			}
+			else if (re[2]) {
+				result += `\\${re[2]}`;
+			}
+			else {
+				const [radix, digits] = re[3] ? [10, re[3]] : re[4] ? [8, re[4]] : [16, re[5] ?? re[6] ?? re[7]];
+				result += toClassChar(parseInt(digits, radix));
+			}
+			index += re[0].length;
+		}
+		else {
+			// other characters, including the backslashes which escape nothing
+			const ch = String.fromCodePoint(source.codePointAt(index));
+			result += /^[\\[\]]$/.test(ch) ? `\\${ch}` : ch;
+			index += ch.length;
+		}
+	}
+
+	return null;
+}
+
+function translateEmacs (source) {
+	const dialect = DIALECT.EMACS;
+	const b = createBuilder();
+
+	for (let i = 0; i < source.length; ) {
+		const ch = String.fromCodePoint(source.codePointAt(i));
+		i += ch.length;
+
+		if (ch === '\\') {
+			if (i >= source.length) {
+				throw new SyntaxError('A backslash must not be end');
+			}
+
+			const next = String.fromCodePoint(source.codePointAt(i));
+			const rest = source.substring(i + next.length);
+			i += next.length;
+
+			let re;
+			switch (next) {
+			case '(':
+				if (rest.startsWith('?:')) {
+					b.open('(?:');
+					i += 2;
+				}
+				else if ((re = /^\?\d+:/.exec(rest)) !== null) {
+					throw createUntranslatableError(`\\(${re[0]}`, dialect);
+				}
+				else {
+					b.open('(');
+				}
+				break;
+			case ')':
+				b.close();
+				break;
+			case '|':
+				b.alternate();
+				break;
+			case '{':
+				re = /^(\d*)(?:(,)(\d*))?\\\}/.exec(rest);
+				if (!re) {
+					throw new SyntaxError('Invalid interval');
+				}
+				if (b.quantifierStart >= 0) {
+					throw createUntranslatableError(`${b.popQuantifier()}\\{`, dialect);
+				}
+				b.quantifier(re[2] ? `{${re[1] || '0'},${re[3]}}` : `{${re[1] || '0'}}`);
+				i += re[0].length;
+				break;
+			case '<':
+				b.assertion(WORD_START);
+				break;
+			case '>':
+				b.assertion(WORD_END);
+				break;
+			case 'b':
+				b.assertion(WORD_BOUNDARY);
+				break;
+			case 'B':
+				b.assertion(NON_WORD_BOUNDARY);
+				break;
+			case '`':
+				b.assertion(TEXT_START);
+				break;
+			case '\'':
+				b.assertion(TEXT_END);
+				break;
+			case 'w': case 'W':
+				b.atom(next === 'w' ? WORD : NON_WORD);
+				break;
+			case 's': case 'S': {
+				// syntax classes: only whitespace and word constituent
+				const syntax = rest.charAt(0);
+				if (syntax === '-' || syntax === ' ') {
+					b.atom(`\\${next}`);
+				}
+				else if (syntax === 'w') {
+					b.atom(next === 's' ? WORD : NON_WORD);
+				}
+				else {
+					throw createUntranslatableError(`\\${next}${syntax}`, dialect);
+				}
+				i++;
+				break;
+			}
+			case '_': case 'c': case 'C':
+				throw createUntranslatableError(`\\${next}${rest.charAt(0)}`, dialect);
+			case '=':
+				throw createUntranslatableError('\\=', dialect);
+			default:
+				b.atom(/^[1-9]$/.test(next) ? `\\${next}` : escapeLiteral(next));
+				break;
+			}
+		}
+		else if (ch === '[') {
+			const bracket = translateBracket(source, i, dialect);
+			if (!bracket) {
+				throw new SyntaxError('Unterminated character class');
+			}
+			b.atom(bracket.result);
+			i = bracket.end;
+		}
+		else if (ch === '*' || ch === '+' || ch === '?') {
+			// a quantifier at the beginning is literal
+			if (b.atomStart < 0) {
+				b.atom(`\\${ch}`);
+			}
+			else {
+				let op = ch;
+				if (b.quantifierStart >= 0) {
+					const prev = b.popQuantifier();
+					op = combineEmacsPostfix(prev, ch);
+					if (!op) {
+						throw createUntranslatableError(`${prev}${ch}`, dialect);
+					}
+				}
+				if (source.charAt(i) === '?') {
+					op += '?';
+					i++;
+				}
+				b.quantifier(op);
+			}
+		}
+		else if (ch === '^') {
+			b.branchStart ? b.assertion('^') : b.atom('\\^');
+		}
+		else if (ch === '$') {
+			/^(?:$|\\[|)])/.test(source.substring(i)) ? b.assertion('$') : b.atom('\\$');
+		}
+		else if (ch === '.') {
+			b.atom('.');
+		}
+		else {
+			b.atom(escapeLiteral(ch));
+		}
+	}
+
+	return b.result;
+}
+
+function translateVim (source, dialect) {
+	const veryMagic = dialect === DIALECT.VIM_VERY_MAGIC;
+	const prefix = veryMagic ? '' : '\\';
+	const b = createBuilder();
+	let i = 0;
+
+	function readToken () {
+		/*
+		 * returns [kind, char]:
+		 *   kind = 'special' | 'escape' (a backslash and an alphanumeric) | 'literal'
+		 */
+		const ch = String.fromCodePoint(source.codePointAt(i));
+		i += ch.length;
+		if (ch !== '\\') {
+			return [veryMagic && VIM_SPECIALS.has(ch) ? 'special' : 'literal', ch];
+		}
+
+		if (i >= source.length) {
+			throw new SyntaxError('A backslash must not be end');
+		}
+		const next = String.fromCodePoint(source.codePointAt(i));
+		i += next.length;
+		if (/^\w$/.test(next)) {
+			return ['escape', next];
+		}
+		return [!veryMagic && VIM_SPECIALS.has(next) ? 'special' : 'literal', next];
+	}
+
+	function isBranchEnd () {
+		return veryMagic ?
+			/^(?:$|[|)]|\\n)/.test(source.substring(i)) :
+			/^(?:$|\\[|)n])/.test(source.substring(i));
+	}
+
+	function translateEscape (ch) {
+		if (Object.hasOwn(VIM_CLASS_ESCAPES, ch)) {
+			b.atom(VIM_CLASS_ESCAPES[ch]);
+		}
+		else if (Object.hasOwn(VIM_CONTROL_ESCAPES, ch)) {
+			b.atom(VIM_CONTROL_ESCAPES[ch]);
+		}
+		else if (/^[1-9]$/.test(ch)) {
+			b.atom(`\\${ch}`);
+		}
+		else if (ch === '_') {
+			// the classes with the end of line
+			const next = source.charAt(i++);
+			let bracket;
+			if (next === '^' || next === '$') {
+				b.assertion(next);
+			}
+			else if (next === '.') {
+				b.atom('[^]');
+			}
+			else if (Object.hasOwn(VIM_CLASS_ESCAPES, next)) {
+				b.atom(`(?:${VIM_CLASS_ESCAPES[next]}|\\n)`);
+			}
+			else if (next === '[' && (bracket = translateBracket(source, i, dialect)) !== null) {
+				b.atom(`(?:${bracket.result}|\\n)`);
+				i = bracket.end;
+			}
+			else {
+				throw createUntranslatableError(`\\_${next}`, dialect);
+			}
+		}
+		else {
+			// \zs, \ze, \c, \%V and so on
+			throw createUntranslatableError(
+				`\\${ch}${ch === 'z' ? source.charAt(i) : ''}`, dialect);
+		}
+	}
+
+	function translatePercent () {
+		const rest = source.substring(i);
+		let re;
+		if (rest.startsWith('(')) {
+			b.open('(?:');
+			i++;
+		}
+		else if (rest.startsWith('^') || rest.startsWith('$')) {
+			b.assertion(rest.charAt(0) === '^' ? TEXT_START : TEXT_END);
+			i++;
+		}
+		else if ((re = /^(?:d(\d+)|o([0-7]{1,4})|x([0-9a-fA-F]{1,2})|u([0-9a-fA-F]{1,4})|U([0-9a-fA-F]{1,8}))/.exec(rest)) !== null) {
+			const [radix, digits] = re[1] ? [10, re[1]] : re[2] ? [8, re[2]] : [16, re[3] ?? re[4] ?? re[5]];
+			b.atom(toClassChar(parseInt(digits, radix)));
+			i += re[0].length;
+		}
+		else {
+			throw createUntranslatableError(`${prefix}%${rest.charAt(0)}`, dialect);
+		}
+	}
+
+	while (i < source.length) {
+		const [kind, ch] = readToken();
+		let re, bracket;
+
+		if (kind === 'literal') {
+			b.atom(escapeLiteral(ch));
+			continue;
+		}
+		if (kind === 'escape') {
+			translateEscape(ch);
+			continue;
+		}
+
+		switch (ch) {
+		case '(':
+			b.open('(');
+			break;
+		case ')':
+			b.close();
+			break;
+		case '|':
+			b.alternate();
+			break;
+		case '*': case '+': case '=': case '?':
+			// a quantifier at the beginning is literal
+			if (b.atomStart < 0) {
+				b.atom(escapeLiteral(ch));
+			}
+			else {
+				b.quantifier(ch === '=' ? '?' : ch);
+			}
+			break;
+		case '{':
+			// {n,m}, and the non-greedy {-n,m}
+			re = /^(-?)(\d*)(?:(,)(\d*))?\\?\}/.exec(source.substring(i));
+			if (!re) {
+				throw new SyntaxError('Invalid interval');
+			}
+			b.quantifier((re[3] ? `{${re[2] || '0'},${re[4]}}` : re[2] ? `{${re[2]}}` : '*')
+				+ (re[1] ? '?' : ''));
+			i += re[0].length;
+			break;
+		case '@':
+			// lookarounds, which follow the atom
+			re = /^\d*(=|!|<=|<!)/.exec(source.substring(i));
+			if (!re) {
+				throw createUntranslatableError(`${prefix}@${source.charAt(i)}`, dialect);
+			}
+			if (b.atomStart < 0) {
+				throw new SyntaxError('Nothing to assert');
+			}
+			b.wrapAtom(`(?${re[1]}`);
+			i += re[0].length;
+			break;
+		case '%':
+			translatePercent();
+			break;
+		case '<':
+			b.assertion(KEYWORD_START);
+			break;
+		case '>':
+			b.assertion(KEYWORD_END);
+			break;
+		case '.':
+			b.atom('.');
+			break;
+		case '[':
+			// an unclosed bracket is literal
+			bracket = translateBracket(source, i, dialect);
+			if (bracket) {
+				b.atom(bracket.result);
+				i = bracket.end;
+			}
+			else {
+				b.atom('\\[');
+			}
+			break;
+		case '^':
+			b.branchStart ? b.assertion('^') : b.atom('\\^');
+			break;
+		case '$':
+			isBranchEnd() ? b.assertion('$') : b.atom('\\$');
+			break;
+		case '~': case '&':
+			throw createUntranslatableError(`${prefix}${ch}`, dialect);
+		}
+	}
+
+	return b.result;
+}
+
+/*
+ * exported functions
+ */
+
+/*
+ * translateDialect() translates a regex of Emacs, or of the very magic (\v)
+ * or very nomagic (\V) mode of Vim, into the javascript's one.
+ * DialectError is thrown for the constructs which can not be translated.
+ */
+export function translateDialect (source, dialect) {
+	switch (dialect) {
+	case DIALECT.EMACS:
+		return translateEmacs(source);
+	case DIALECT.VIM_VERY_MAGIC:
+	case DIALECT.VIM_VERY_NOMAGIC:
+		return translateVim(source, dialect);
+	default:
+		return source;
+	}
+}
@@ -0,0 +1,503 @@
+/*
+ * Search Cobb
+ *
+ * @author akahuku@gmail.com
+ */
+/**
+ * Copyright 2024 akahuku, akahuku@gmail.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ * consts
+ */
+
+export const HAZARD_NESTED_QUANTIFIER = 'nestedQuantifier';
+export const HAZARD_OVERLAPPING_ALTERNATION = 'overlappingAlternation';
+
+/*
+ * characters used to test whether two alternatives can start with
+ * the same character. literal characters of the alternatives are added.
+ */
+const OVERLAP_SAMPLES = [
+	'a', 'A', 'z', '0', '9', '_', ' ', '\t', '\n', '-', '.', ',',
+	'あ', 'ア', 'ｱ', '漢', 'Ａ', '０', '゙', '가', '😀'
+];
+
+/*
+ * functions
+ */
+
+function parse (source, vMode) {
+	/*
+	 * node :=
+	 *   {type: 'alt', alternatives: [<seq>]}
+	 *   {type: 'seq', items: [<node>]}
+	 *   {type: 'group', prefix: <string>, body: <alt>, lookaround: <boolean>}
+	 *   {type: 'quant', body: <node>, min: <number>, max: <number>, suffix: <string>}
+	 *   {type: 'atom', source: <string>, zeroWidth: <boolean>}
+	 */
+	let index = 0;
+
+	function parseAlt () {
+		const alternatives = [parseSeq()];
+		while (source.charAt(index) === '|') {
+			index++;
+			alternatives.push(parseSeq());
+		}
+		return {type: 'alt', alternatives};
+	}
+
+	function parseSeq () {
+		const items = [];
+		while (index < source.length && source.charAt(index) !== '|' && source.charAt(index) !== ')') {
+			items.push(parseQuant(parseTerm()));
+		}
+		return {type: 'seq', items};
+	}
+
+	function parseQuant (body) {
+		const re = /^(?:([*+?])|\{(\d+)(?:(,)(\d*))?\})\??/.exec(source.substring(index));
+		if (!re || body.zeroWidth) {
+			return body;
+		}
+
+		index += re[0].length;
+
+		let min, max;
+		switch (re[1]) {
+		case '*': min = 0; max = Infinity; break;
+		case '+': min = 1; max = Infinity; break;
+		case '?': min = 0; max = 1; break;
+		default:
+			min = parseInt(re[2], 10);
+			max = re[3] ? (re[4] === '' ? Infinity : parseInt(re[4], 10)) : min;
+			break;
+		}
+
+		return parseQuant({type: 'quant', body, min, max, suffix: re[0]});
+	}
+
+	function parseTerm () {
+		const ch = source.charAt(index);
+
+		if (ch === '(') {
+			const re = /^\((?:\?(?:[:=!]|<[=!]|<[^>]+>|[a-zA-Z-]+:))?/.exec(source.substring(index));
+			index += re[0].length;
+			const body = parseAlt();
+			if (source.charAt(index) !== ')') {
+				throw new SyntaxError('Unterminated group');
+			}
+			index++;
+			return {
+				type: 'group',
+				prefix: re[0],
+				body,
+				lookaround: /^\(\?(?:[=!]|<[=!])/.test(re[0])
+			};
+		}
+
+		if (ch === '[') {
+			const start = index;
+			let depth = 0;
+			for (; index < source.length; index++) {
+				const c = source.charAt(index);
+				if (c === '\\') {
+					index++;
+				}
+				else if (c === '[' && (vMode || depth === 0)) {
+					depth++;
+				}
+				else if (c === ']' && --depth === 0) {
+					break;
+				}
+			}
+			if (depth !== 0) {
+				throw new SyntaxError('Unterminated character class');
+			}
+			index++;
+			return {type: 'atom', source: source.substring(start, index), zeroWidth: false};
+		}
+
+		if (ch === '\\') {
+			const re = /^\\(?:[pP]\{[^}]*\}|u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|c[a-zA-Z]|k<[^>]+>|\d+|[^])/u
+				.exec(source.substring(index));
+			if (!re) {
+				throw new SyntaxError('A backslash must not be end');
+			}
+			index += re[0].length;
+			return {type: 'atom', source: re[0], zeroWidth: /^\\[bB]$/.test(re[0])};
+		}
+
+		if (ch === '^' || ch === '$') {
+			index++;
+			return {type: 'atom', source: ch, zeroWidth: true};
+		}
+
+		const cp = String.fromCodePoint(source.codePointAt(index));
+		index += cp.length;
+		return {type: 'atom', source: cp, zeroWidth: false};
+	}
+
+	const result = parseAlt();
+	if (index < source.length) {
+		throw new SyntaxError('Unmatched parenthesis');
+	}
+	return result;
+}
+
+function emit (node, names) {
+	let result;
+
+	switch (node.type) {
+	case 'alt':
+		result = node.alternatives.map(a => emit(a, names)).join('|');
+		break;
+	case 'seq':
+		result = node.items.map(a => emit(a, names)).join('');
+		break;
+	case 'group':
+		result = `${node.prefix}${emit(node.body, names)})`;
+		break;
+	case 'quant':
+		result = `${emit(node.body, names)}${node.suffix}`;
+		break;
+	case 'atom':
+		result = node.source;
+		break;
+	}
+
+	if (node.atomic) {
+		/*
+		 * emulate an atomic group by a positive lookahead (same as q2pl()
+		 * in grapheme-regex.js):
+		 *
+		 *   A -> (?:(?=(?<rdl0>A))\k<rdl0>)
+		 */
+		const tag = `<rdl${names.count++}>`;
+		result = `(?:(?=(?${tag}${result}))\\k${tag})`;
+	}
+
+	return result;
+}
+
+function isOptional (node) {
+	switch (node.type) {
+	case 'alt':
+		return node.alternatives.some(isOptional);
+	case 'seq':
+		return node.items.every(isOptional);
+	case 'group':
+		return node.lookaround || isOptional(node.body);
+	case 'quant':
+		return node.min === 0 || isOptional(node.body);
+	case 'atom':
+		return node.zeroWidth;
+	}
+}
+
+function getFirstAtom (node) {
+	switch (node.type) {
+	case 'alt':
+		return node.alternatives.length === 1 ? getFirstAtom(node.alternatives[0]) : null;
+	case 'seq':
+		for (const item of node.items) {
+			if (item.type === 'atom' && item.zeroWidth) continue;
+			if (item.type === 'group' && item.lookaround) continue;
+			return getFirstAtom(item);
+		}
+		return null;
+	case 'group':
+		return node.lookaround ? null : getFirstAtom(node.body);
+	case 'quant':
+		return getFirstAtom(node.body);
+	case 'atom':
+		return /^\\(?:\d+|k<)/.test(node.source) ? null : node.source;
+	}
+}
+
+function getFirstAtoms (node) {
+	// the atoms which 'node' can start with, null for an unknown one
+	switch (node.type) {
+	case 'alt':
+		return node.alternatives.flatMap(getFirstAtoms);
+	case 'seq': {
+		const atoms = [];
+		for (const item of node.items) {
+			atoms.push(...getFirstAtoms(item));
+			if (!isOptional(item)) break;
+		}
+		return atoms;
+	}
+	case 'group':
+		return node.lookaround ? [] : getFirstAtoms(node.body);
+	case 'quant':
+		return getFirstAtoms(node.body);
+	case 'atom':
+		return node.zeroWidth ? [] : [getFirstAtom(node)];
+	}
+}
+
+function getAtoms (node) {
+	// all the atoms in 'node', null for an unknown one
+	switch (node.type) {
+	case 'alt':
+		return node.alternatives.flatMap(getAtoms);
+	case 'seq':
+		return node.items.flatMap(getAtoms);
+	case 'group':
+		return node.lookaround ? [] : getAtoms(node.body);
+	case 'quant':
+		return getAtoms(node.body);
+	case 'atom':
+		return node.zeroWidth ? [] : [getFirstAtom(node)];
+	}
+}
+
+function canOverlap (atom1, atom2, flags) {
+	if (atom1 === atom2) return true;
+
+	let pattern1, pattern2;
+	try {
+		pattern1 = new RegExp(`^(?:${atom1})$`, flags);
+		pattern2 = new RegExp(`^(?:${atom2})$`, flags);
+	}
+	catch {
+		return false;
+	}
+
+	const samples = new Set(OVERLAP_SAMPLES);
+	for (const ch of (atom1 + atom2).replace(/\\./gu, '')) {
+		samples.add(ch);
+	}
+
+	for (const ch of samples) {
+		if (pattern1.test(ch) && pattern2.test(ch)) {
+			return true;
+		}
+	}
+
+	return false;
+}
+
+function isSingleCharacter (node) {
+	// an alternative which always matches exactly one character
+	return node.type === 'seq'
+		&& node.items.length === 1
+		&& node.items[0].type === 'atom'
+		&& !node.items[0].zeroWidth
+		&& getFirstAtom(node.items[0]) !== null;
+}
+
+function classifyOverlap (alt1, alt2, atoms, flags) {
+	/*
+	 * returns how two alternatives whose first atoms overlap can make
+	 * the enclosing quantifier backtrack:
+	 *
+	 *   'ambiguous': they certainly match the same text, such as (\w|\d)+
+	 *   'prefix':    one is a plain prefix of the other, and the rest can
+	 *                not start another iteration, such as (a|ab)+. this is
+	 *                harmless.
+	 *   'possible':  otherwise
+	 */
+	const source1 = emit(alt1, {count: 0});
+	const source2 = emit(alt2, {count: 0});
+	if (source1 === source2 || isSingleCharacter(alt1) && isSingleCharacter(alt2)) {
+		return 'ambiguous';
+	}
+
+	const [shorter, longer] = alt1.items.length <= alt2.items.length ?
+		[alt1, alt2] : [alt2, alt1];
+	const isPrefix = shorter.items.every((item, i) => {
+		return emit(item, {count: 0}) === emit(longer.items[i], {count: 0});
+	});
+	if (isPrefix) {
+		const rest = getFirstAtom({type: 'seq', items: longer.items.slice(shorter.items.length)});
+		if (rest !== null
+		 && atoms.every(atom => atom === null || !canOverlap(rest, atom, flags))) {
+			return 'prefix';
+		}
+	}
+
+	return 'possible';
+}
+
+function abbrev (s, max = 32) {
+	return s.length > max ? `${s.substring(0, max)}...` : s;
+}
+
+function check (root, flags, origin) {
+	const hazards = [];
+
+	function getSource (node) {
+		/*
+		 * the hazards are reported in terms of the user's pattern: a part
+		 * which only exists in the expansions by the transformer is
+		 * reported as the whole pattern.
+		 */
+		const source = emit(node, {count: 0});
+		return abbrev(origin.includes(source) ? source : origin);
+	}
+
+	function isBacktrackable (node, follow) {
+		/*
+		 * returns true if a text taken by 'node' could be given back to
+		 * what follows it. making such a part atomic changes the results,
+		 * such as (?:a+)+ab, which matches 'aab' only if a+ gives back an 'a'.
+		 */
+		const atoms = getAtoms(node);
+		return atoms.includes(null) || follow.includes(null)
+			|| atoms.some(atom => follow.some(atom2 => canOverlap(atom, atom2, flags)));
+	}
+
+	/*
+	 * 'outer' is the nearest unbounded quantifier enclosing 'node', and
+	 * 'solo' is true if 'node' alone can match an iteration of 'outer',
+	 * that is, every sibling on the path from 'outer' to 'node' is optional.
+	 * 'follow' is the first atoms of what can follow 'node'.
+	 */
+	function walk (node, outer, solo, follow) {
+		switch (node.type) {
+		case 'alt':
+			if (outer && solo && node.alternatives.length > 1) {
+				const atoms = node.alternatives.map(getFirstAtom);
+				let overlap;
+				for (let i = 0; i < atoms.length && overlap !== 'ambiguous'; i++) {
+					for (let j = i + 1; j < atoms.length && overlap !== 'ambiguous'; j++) {
+						if (atoms[i] === null || atoms[j] === null
+						 || !canOverlap(atoms[i], atoms[j], flags)) continue;
+
+						const result = classifyOverlap(
+							node.alternatives[i], node.alternatives[j], atoms, flags);
+						if (result !== 'prefix') {
+							overlap = result;
+						}
+					}
+				}
+				if (overlap) {
+					/*
+					 * only the alternation which certainly backtracks is
+					 * made atomic. the others are just warned.
+					 */
+					const source = getSource(node.parentGroup);
+					const atomic = overlap === 'ambiguous';
+					node.parentGroup.atomic = atomic;
+					hazards.push({type: HAZARD_OVERLAPPING_ALTERNATION, source, atomic});
+				}
+			}
+			for (const a of node.alternatives) {
+				walk(a, outer, solo, follow);
+			}
+			break;
+
+		case 'seq':
+			node.items.forEach((item, i) => {
+				const rest = {type: 'seq', items: node.items.slice(i + 1)};
+				walk(item, outer,
+					solo && node.items.every(a => a === item || isOptional(a)),
+					isOptional(rest) ? [...getFirstAtoms(rest), ...follow] : getFirstAtoms(rest));
+			});
+			break;
+
+		case 'group':
+			// contents of lookarounds are already atomic
+			if (node.lookaround) break;
+			node.body.parentGroup = node;
+			walk(node.body, outer, solo, follow);
+			break;
+
+		case 'quant':
+			if (node.max === Infinity) {
+				/*
+				 * an unbounded quantifier inside another one can split
+				 * the same text in exponentially many ways, whatever
+				 * its siblings are, such as (x+x+)+y
+				 */
+				if (outer) {
+					const source = getSource(node);
+					if (isBacktrackable(node.body, follow)) {
+						hazards.push({type: HAZARD_NESTED_QUANTIFIER, source, atomic: false, rejected: true});
+					}
+					else {
+						node.atomic = true;
+						hazards.push({type: HAZARD_NESTED_QUANTIFIER, source, atomic: true});
+					}
+				}
+				walk(node.body, node, true, follow);
+			}
+			else {
+				walk(node.body, outer, solo, follow);
+			}
+			break;
+		}
+	}
+
+	walk(root, null, false, []);
+	return hazards;
+}
+
+/*
+ * exported functions
+ */
+
+function createHazardError (hazards) {
+	const err = new Error(`lintRegex: dangerous pattern: ${hazards[0].source}`);
+	err.name = 'HazardError';
+	err.hazards = hazards;
+	return err;
+}
+
+/*
+ * lintRegex() finds the constructs which may cause catastrophic
+ * backtracking, and returns the source where the ones which certainly
+ * backtrack are made atomic. the others are only reported, with
+ * 'atomic' false. a nested quantifier which can not be made atomic
+ * without changing the results rejects the pattern by HazardError.
+ * 'origin' is the pattern written by the user, which 'source' is
+ * generated from.
+ *
+ * result = {
+ *   source: <string>
+ *   hazards: [
+ *     {
+ *       type: HAZARD_NESTED_QUANTIFIER | HAZARD_OVERLAPPING_ALTERNATION
+ *       source: <string>
+ *       atomic: <boolean>
+ *     }
+ *   ]
+ * }
+ */
+export function lintRegex (source, flags = 'u', origin = source) {
+	const root = parse(source, flags.includes('v'));
+	const hazards = check(root, flags.replace(/[gmsy]/g, ''), origin);
+
+	const rejected = hazards.filter(hazard => hazard.rejected);
+	if (rejected.length) {
+		throw createHazardError(rejected);
+	}
+
+	if (!hazards.some(hazard => hazard.atomic)) {
+		return {source, hazards};
+	}
+
+	/*
+	 * adding capture groups shifts the numbers of the user's backreferences,
+	 * so such a pattern can not be rewritten.
+	 */
+	if (/(?<!\\)(?:\\\\)*\\[1-9]/.test(source)) {
+		throw createHazardError(hazards.filter(hazard => hazard.atomic));
+	}
+
+	return {source: emit(root, {count: 0}), hazards};
+}
@@ -53,49 +53,555 @@ const FULLWIDTH_METACHAR_MAP_CLASS = {
 	'＼': '\\'
 };
 
+/*
+ * the ranges in character classes wider than this are unified through
+ * the table of all the changed code points, instead of enumerating them.
+ */
+const RANGE_ENUMERATE_LIMIT = 0x1000;
+const UNIFY_TABLE_MAX = 0x2ffff;
+
+/*
+ * the shorthand classes of the Japanese scripts. the upper cases of
+ * the escapes are the negated forms of them.
+ */
+const JAPANESE_CLASSES = {
+	// hiragana, including the (semi-)voiced sound marks and the prolonged sound mark
+	'h': '\\u3041-\\u3096\\u3099-\\u309f\\u30fc',
+	// katakana, including the half-width forms and the compatibility characters
+	'a': '\\u30a1-\\u30fa\\u30fc-\\u30ff\\u31f0-\\u31ff\\u32d0-\\u32fe\\u3300-\\u3357\\uff66-\\uff9f',
+	// kanji, including the iteration mark and the closing mark
+	'j': '\\p{Script=Han}\\u3005-\\u3007',
+	// full-width alphanumerics
+	'z': '\\uff10-\\uff19\\uff21-\\uff3a\\uff41-\\uff5a'
+};
+
+const CONTROL_ESCAPES = {
+	'b': '\b', 'f': '\f', 'n': '\n', 'r': '\r', 't': '\t', 'v': '\v', '0': '\0'
+};
+
 function getIteratePattern () {
 	// - escaped character
 	// - meta characters
 	// - character class
 	// - other characters
-	return /\\.|[{}().*+?^$|]|\[(?:\\.|[^\]])+\]|[^\[\]{}().*+?^$|]+/gu;
+	// - bottom backslash
+	return /\\.|[{}().*+?^$|]|\[(?:\\.|[^\]])+\]|[^\\\[\]{}().*+?^$|]+|\\/gu;
 }
 
-function unifyInsideClass (a) {
-	const chars = [];
-	const graphemes = [];
+function isSingleCodePoint (s) {
+	return s.length === 1
+		|| s.length === 2 && /^[\ud800-\udbff][\udc00-\udfff]$/.test(s);
+}
 
-	a = a.replace(/[［］－＼]/g, $0 => `\\${FULLWIDTH_METACHAR_MAP_CLASS[$0]}`);
+function escapeExpansion (s) {
+	/*
+	 * the unified strings may contain the syntax characters of RegExp,
+	 * such as '5.1' of U+1F1A0. they must be matched literally.
+	 */
+	return s.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&');
+}
+
+/*
+ * sorted code points which are changed by the unifier (lazily built)
+ */
+let changedCodePoints;
 
-	for (const seg of (new Intl.Segmenter).segment(a)) {
-		const segment = unifier.unifyGrapheme(seg.segment);
-		if (segment.length === 1
-		 || segment.length === 2 && /^[\ud800-\udbff][\udc00-\udfff]$/.test(segment)) {
-			chars.push(segment);
+function getChangedCodePoints (from, to) {
+	if (!changedCodePoints) {
+		changedCodePoints = [];
+		for (let cp = 0; cp <= UNIFY_TABLE_MAX; cp++) {
+			if (cp >= 0xd800 && cp <= 0xdfff) continue;
+			const ch = String.fromCodePoint(cp);
+			if (unifier.unifyGrapheme(ch) !== ch) {
+				changedCodePoints.push(cp);
+			}
+		}
+	}
+
+	let left = 0, right = changedCodePoints.length;
+	while (left < right) {
+		const middle = (left + right) >> 1;
+		if (changedCodePoints[middle] < from) {
+			left = middle + 1;
 		}
 		else {
-			graphemes.push(segment);
+			right = middle;
 		}
 	}
 
-	if (chars.length && graphemes.length) {
-		return `(?:[${chars.join('')}]|${graphemes.join('|')})`;
+	const result = [];
+	for (let i = left; i < changedCodePoints.length && changedCodePoints[i] <= to; i++) {
+		result.push(changedCodePoints[i]);
 	}
-	else if (chars.length && graphemes.length === 0) {
+	return result;
+}
+
+function parseClass (a) {
+	/*
+	 * item :=
+	 *   {type: 'char', source: <string>, char: <string>}
+	 *   {type: 'range', source: <string>, from: <number>, to: <number>}
+	 *   {type: 'escape', source: <string>} (class escapes, such as \d and \p{...})
+	 */
+	const items = [];
+	let index = 0;
+
+	function parseAtom () {
+		if (a.charAt(index) === '\\') {
+			const re = /^\\(?:([dDwWsS]|[pP]\{[^}]*\})|u\{([0-9a-fA-F]+)\}|u([0-9a-fA-F]{4})|x([0-9a-fA-F]{2})|c([a-zA-Z])|([bfnrtv0])|([^]))/u
+				.exec(a.substring(index));
+			if (!re) {
+				throw new SyntaxError('A backslash must not be end');
+			}
+			index += re[0].length;
+
+			if (re[1]) {
+				return {type: 'escape', source: re[0]};
+			}
+
+			let char;
+			if (re[2] || re[3] || re[4]) {
+				char = String.fromCodePoint(parseInt(re[2] ?? re[3] ?? re[4], 16));
+			}
+			else if (re[5]) {
+				char = String.fromCharCode(re[5].charCodeAt(0) % 32);
+			}
+			else if (re[6]) {
+				char = CONTROL_ESCAPES[re[6]];
+			}
+			else {
+				char = re[7];
+			}
+			return {type: 'char', source: re[0], char};
+		}
+
+		const segment = (new Intl.Segmenter).segment(a.substring(index))
+			.containing(0).segment;
+		index += segment.length;
+		return {type: 'char', source: segment, char: segment};
+	}
+
+	while (index < a.length) {
+		const start = index;
+		const atom = parseAtom();
+
+		if (atom.type === 'char'
+		 && isSingleCodePoint(atom.char)
+		 && a.charAt(index) === '-'
+		 && index + 1 < a.length) {
+			const save = index;
+			index++;
+			const atom2 = parseAtom();
+			if (atom2.type === 'char' && isSingleCodePoint(atom2.char)) {
+				items.push({
+					type: 'range',
+					source: a.substring(start, index),
+					from: atom.char.codePointAt(0),
+					to: atom2.char.codePointAt(0)
+				});
+				continue;
+			}
+			index = save;
+		}
+
+		items.push(atom);
+	}
+
+	return items;
+}
+
+function toClassChar (cp) {
+	return `\\u{${cp.toString(16)}}`;
+}
+
+function escapeClassChar (unified, isFirst) {
+	// a unified character which has a special meaning in the class
+	if (/^[\\\]\[-]$/.test(unified) || unified === '^' && isFirst) {
+		return `\\${unified}`;
+	}
+	return unified;
+}
+
+function escapeClassSetChars (s) {
+	/*
+	 * in the class of the v flag, the syntax characters and
+	 * the reserved double punctuators must be escaped.
+	 */
+	return s.replace(/[\\^$.*+?()[\]{}|\/&\-!#%,:;<=>@`~]/g, '\\$&');
+}
+
+function unifyClassItems (items, escapeChar) {
+	/*
+	 * each item of the class is unified:
+	 *
+	 *   - a character is replaced by its unified one
+	 *   - a range is kept, and the unified characters of its members
+	 *     which are changed by the unifier are added
+	 *   - a class escape, such as \d and \p{...}, is kept as is
+	 *
+	 * so that the class matches the unified text of everything the
+	 * original class matches. the multi-character expansions are
+	 * returned separately as 'strings'.
+	 */
+	const chars = [];
+	const strings = new Set;
+	const extraCodePoints = new Set;
+
+	function addUnified (unified) {
+		if (isSingleCodePoint(unified)) {
+			extraCodePoints.add(unified.codePointAt(0));
+		}
+		else {
+			strings.add(unified);
+		}
+	}
+
+	for (const item of items) {
+		switch (item.type) {
+		case 'escape':
+			chars.push(item.source);
+			break;
+
+		case 'range':
+			chars.push(item.source);
+			if (item.from <= item.to) {
+				const codePoints = item.to - item.from < RANGE_ENUMERATE_LIMIT ?
+					Array.from({length: item.to - item.from + 1}, (_, i) => item.from + i) :
+					getChangedCodePoints(item.from, item.to);
+				for (const cp of codePoints) {
+					if (cp >= 0xd800 && cp <= 0xdfff) continue;
+					const ch = String.fromCodePoint(cp);
+					const unified = unifier.unifyGrapheme(ch);
+					if (unified !== ch) {
+						addUnified(unified);
+					}
+				}
+			}
+			break;
+
+		case 'char': {
+			const unified = unifier.unifyGrapheme(item.char);
+			if (unified === item.char) {
+				chars.push(item.source);
+			}
+			else if (isSingleCodePoint(unified)) {
+				chars.push(escapeChar(unified, chars.length === 0));
+			}
+			else {
+				strings.add(unified);
+			}
+			break;
+		}
+		}
+	}
+
+	// the characters added by ranges, merged into ranges again
+	const codePoints = [...extraCodePoints].sort((a, b) => a - b);
+	for (let i = 0; i < codePoints.length; ) {
+		let j = i;
+		while (j + 1 < codePoints.length && codePoints[j + 1] === codePoints[j] + 1) {
+			j++;
+		}
+		chars.push(j - i >= 2 ?
+			`${toClassChar(codePoints[i])}-${toClassChar(codePoints[j])}` :
+			codePoints.slice(i, j + 1).map(toClassChar).join(''));
+		i = j + 1;
+	}
+
+	return {chars, strings: [...strings]};
+}
+
+function unifyInsideClass (a) {
+	let negate = '';
+
+	a = a.replace(/[［］－＼]/g, $0 => `\\${FULLWIDTH_METACHAR_MAP_CLASS[$0]}`);
+	if (a.startsWith('^')) {
+		negate = '^';
+		a = a.substring(1);
+	}
+
+	const {chars, strings} = unifyClassItems(parseClass(a), escapeClassChar);
+	const alternatives = strings.map(escapeExpansion);
+
+	/*
+	 * a negated class can not contain multi-character expansions.
+	 * they are excluded by a lookahead instead:
+	 *
+	 *   [^a⑩] -> (?:(?!10)[^a])
+	 */
+	if (negate) {
+		if (alternatives.length) {
+			return `(?:(?!${alternatives.join('|')})[^${chars.join('')}])`;
+		}
+		return `[^${chars.join('')}]`;
+	}
+
+	if (chars.length && alternatives.length) {
+		return `(?:[${chars.join('')}]|${alternatives.join('|')})`;
+	}
+	else if (chars.length && alternatives.length === 0) {
 		return `[${chars.join('')}]`;
 	}
-	else if (chars.length === 0 && graphemes.length) {
-		return `(?:${graphemes.join('|')})`;
+	else if (chars.length === 0 && alternatives.length) {
+		return `(?:${alternatives.join('|')})`;
 	}
 	else {
 		return '';
 	}
 }
 
+function unifyNegatedJapaneseClass (lower) {
+	/*
+	 * the unified strings of the members, such as 'カ゛' of 'ガ' and
+	 * 'アパート' of '㌀', consist of the characters of the same script.
+	 * so the negated form excludes their code points, instead of
+	 * excluding each of the strings by a lookahead:
+	 *
+	 *   \A -> [^\u30a1-\u30fa...\u{3099}\u{309a}]
+	 */
+	const {chars, strings} = unifyClassItems(
+		parseClass(JAPANESE_CLASSES[lower]), escapeClassChar);
+	const covered = new RegExp(`[${chars.join('')}]`, 'u');
+	const extraCodePoints = new Set;
+	for (const s of strings) {
+		for (const ch of s) {
+			if (!covered.test(ch)) {
+				extraCodePoints.add(ch.codePointAt(0));
+			}
+		}
+	}
+	return `[^${chars.join('')}${[...extraCodePoints].sort((a, b) => a - b).map(toClassChar).join('')}]`;
+}
+
+function expandJapaneseClasses (a, vMode) {
+	/*
+	 * the shorthand classes in a character class are expanded to
+	 * their members. the negated forms can be nested only with the v flag:
+	 *
+	 *   [\hx] -> [\u3041-\u3096...x]
+	 *   [\Hx] -> [[^\u3041-\u3096...]x] (v flag)
+	 */
+	return a.replace(/\\(.)/gu, ($0, ch) => {
+		const lower = ch.toLowerCase();
+		if (!Object.hasOwn(JAPANESE_CLASSES, lower)) {
+			return $0;
+		}
+		if (vMode) {
+			return `[${lower === ch ? '' : '^'}${JAPANESE_CLASSES[lower]}]`;
+		}
+		if (lower !== ch) {
+			throw new SyntaxError(`\\${ch} can not be used in a character class`);
+		}
+		return JAPANESE_CLASSES[lower];
+	});
+}
+
+function findClassEnd (s, start) {
+	let depth = 0;
+	for (let i = start; i < s.length; i++) {
+		const c = s.charAt(i);
+		if (c === '\\') {
+			i++;
+		}
+		else if (c === '[') {
+			depth++;
+		}
+		else if (c === ']' && --depth === 0) {
+			return i + 1;
+		}
+	}
+	throw new SyntaxError('Unterminated character class');
+}
+
+export function stripVerbose (source, vMode) {
+	/*
+	 * removes the unescaped whitespaces and the comments from '#' to
+	 * the end of the line, like /x of Perl. the character classes are
+	 * kept as is:
+	 *
+	 *   \d+  # digits -> \d+
+	 *   a\ b [ ]      -> a b[ ]
+	 */
+	const pattern = /\\[\s#]|\\[^]|\[|#[^\n]*|\s+|[^\\[#\s]+|\\/gu;
+	const classPattern = /\[(?:\\[^]|[^\\\]])*\]/y;
+	let result = '';
+
+	for (let re; (re = pattern.exec(source)) !== null; ) {
+		if (re[0] === '[') {
+			classPattern.lastIndex = re.index;
+			const end = vMode ? findClassEnd(source, re.index) :
+				classPattern.test(source) ? classPattern.lastIndex :
+				source.length;
+			result += source.substring(re.index, end);
+			pattern.lastIndex = end;
+		}
+		else if (/^\\[\s#]$/.test(re[0])) {
+			result += re[0].charAt(1);
+		}
+		else if (!/^(?:#|\s)/.test(re[0])) {
+			result += re[0];
+		}
+	}
+
+	return result;
+}
+
+function hasSetOperator (a) {
+	for (let i = 0; i < a.length; i++) {
+		const c = a.charAt(i);
+		if (c === '\\') {
+			i++;
+		}
+		else if (c === '[') {
+			i = findClassEnd(a, i) - 1;
+		}
+		else if (a.startsWith('&&', i) || a.startsWith('--', i)) {
+			return true;
+		}
+	}
+	return false;
+}
+
+function unifyClassSetOperands (a, collector) {
+	/*
+	 * a class of the v flag may contain nested classes, the set operations
+	 * and the strings:
+	 *
+	 *   [\p{Script=Han}--[一二三]], [\q{abc|def}a-z]
+	 *
+	 * the runs of the characters between them are unified in the same way
+	 * as the u flag, and the multi-character expansions become strings:
+	 *
+	 *   [\p{N}--⑩] -> [\p{N}--\q{10}]
+	 *
+	 * if 'collector' is given (for a negated class, which can not
+	 * contain strings), they are pushed to it instead.
+	 */
+	const result = [];
+	const operated = hasSetOperator(a);
+	let index = 0, runStart = 0;
+
+	function flush () {
+		if (runStart === index) return;
+
+		const run = a.substring(runStart, index);
+		const {chars, strings} = unifyClassItems(parseClass(run), escapeClassSetChars);
+		if (strings.length === 0) {
+			result.push(...chars);
+		}
+		else if (!collector) {
+			result.push(...chars, `\\q{${strings.map(escapeClassSetChars).join('|')}}`);
+		}
+		else if (!operated) {
+			result.push(...chars);
+			collector.push(...strings.map(escapeExpansion));
+		}
+		else {
+			/*
+			 * an operand of the set operations can not be excluded by
+			 * a lookahead. it is kept as is, since the unified text never
+			 * contains the original character anyway.
+			 */
+			result.push(run);
+		}
+	}
+
+	while (index < a.length) {
+		const ch = a.charAt(index);
+		let re;
+		if (ch === '[') {
+			flush();
+			const end = findClassEnd(a, index);
+			const inner = a.substring(index + 1, end - 1);
+			if (inner.startsWith('^')) {
+				// strings in a nested negated class can not be excluded
+				result.push(`[^${unifyClassSetOperands(inner.substring(1), [])}]`);
+			}
+			else {
+				result.push(`[${unifyClassSetOperands(inner, collector)}]`);
+			}
+			index = runStart = end;
+		}
+		else if (a.startsWith('&&', index) || a.startsWith('--', index)) {
+			flush();
+			result.push(a.substring(index, index + 2));
+			index = runStart = index + 2;
+		}
+		else if ((re = /^\\q\{((?:\\.|[^\\}])*)\}/u.exec(a.substring(index))) !== null) {
+			flush();
+			const segmenter = new Intl.Segmenter;
+			const body = re[1].replace(/\\.|[^\\|]+/gu, $0 => {
+				if ($0.startsWith('\\')) {
+					return $0;
+				}
+				return Array.from(segmenter.segment($0), ({segment}) => {
+					const unified = unifier.unifyGrapheme(segment);
+					return unified === segment ? segment : escapeClassSetChars(unified);
+				}).join('');
+			});
+			result.push(`\\q{${body}}`);
+			index = runStart = index + re[0].length;
+		}
+		else if (ch === '\\') {
+			index += 2;
+		}
+		else {
+			index++;
+		}
+	}
+	flush();
+
+	return result.join('');
+}
+
+function unifyInsideClassSet (a) {
+	/*
+	 * the strings of a negated class are excluded by a lookahead,
+	 * same as unifyInsideClass():
+	 *
+	 *   [^\p{Lu}⑩] -> (?:(?!10)[^\p{Lu}])
+	 */
+	if (a.startsWith('^')) {
+		const strings = [];
+		const body = unifyClassSetOperands(a.substring(1), strings);
+		if (strings.length) {
+			return `(?:(?!${strings.join('|')})[^${body}])`;
+		}
+		return `[^${body}]`;
+	}
+
+	return `[${unifyClassSetOperands(a, null)}]`;
+}
+
 function unifyOutsideClass (a) {
+	/*
+	 * a multi-character expansion is grouped, so that a following
+	 * quantifier applies to the whole of it:
+	 *
+	 *   ⑩+ -> (?:10)+
+	 */
 	a = a.replace(/[［］｛｝（）．＊＋？＾＄｜＼]/g, $0 => `\\${FULLWIDTH_METACHAR_MAP[$0]}`);
-	a = unifier.unifyString(a.replace(/\s+/g, '\\s+'));
-	return a;
+	return a.split(/(\s+)/).map((part, index) => {
+		if (index % 2) {
+			return '\\s+';
+		}
+
+		let result = '';
+		for (const seg of (new Intl.Segmenter).segment(part)) {
+			const segment = unifier.unifyGrapheme(seg.segment);
+			if (segment === seg.segment || /(?<!\\)(?:\\\\)*\\$/.test(result)) {
+				// unchanged, or escaped by the preceding backslash
+				result += segment;
+			}
+			else if (isSingleCodePoint(segment)) {
+				result += escapeExpansion(segment);
+			}
+			else {
+				result += `(?:${escapeExpansion(segment)})`;
+			}
+		}
+		return result;
+	}).join('');
 }
 
 function fixup (result) {
@@ -106,22 +612,89 @@ function fixup (result) {
 	return result.join('');
 }
 
+function createGraphemeRegexGetter (target) {
+	let count = 0;
+
+	return () => {
+		/*
+		 * each expansion needs its own names of the capture groups:
+		 *
+		 *   \X\X -> (?:...\k<gcr0>...)(?:...\k<gcr1_0>...)
+		 */
+		const result = graphemeRegex(target);
+		return count++ ? result.replace(/<gcr(?=\d)/g, `<gcr${count - 1}_`) : result;
+	};
+}
+
+/*
+ * returns true if the source contains the syntax which is valid only with
+ * the v flag: the set operations, nested classes, \q{...} and
+ * the properties of strings. the comments of the verbose mode are ignored.
+ */
+export function isUnicodeSetsSource (source, detail = {}) {
+	if (detail.verbose) {
+		source = stripVerbose(source, false);
+	}
+
+	if (/(?<!\\)(?:\\\\)*\\(?:q\{|p\{(?:Basic_Emoji|Emoji_Keycap_Sequence|RGI_\w+)\})/.test(source)) {
+		return true;
+	}
+
+	const pattern = getIteratePattern();
+	for (let re; (re = pattern.exec(source)) !== null; ) {
+		if (/^\[(?:\\.|[^\\])*?(?:&&|--|\[)/.test(re[0])) {
+			return true;
+		}
+	}
+
+	return false;
+}
+
 export function transformRegex (source, target, detail = {}, debug) {
 	const result = [];
+	if (detail.verbose) {
+		source = stripVerbose(source, detail.unicodeSets);
+	}
+
 	const pattern = getIteratePattern();
-	const unifyInside = detail.strict ? a => `[${a}]` : unifyInsideClass;
+	const unifyInside = detail.strict ? a => `[${a}]` :
+		detail.unicodeSets ? unifyInsideClassSet : unifyInsideClass;
 	const unifyOutside = detail.strict ? a => a : unifyOutsideClass;
 
+	const getGraphemeRegex = createGraphemeRegexGetter(target);
 	for (let re; (re = pattern.exec(source)) !== null; ) {
-		if (re[0].startsWith('\\')) {
+		if (re[0] === '\\X') {
+			// extended grapheme cluster, as in PCRE
+			result.push(getGraphemeRegex());
+		}
+		else if (/^\\[hajz]$/i.test(re[0])) {
+			// shorthand classes of the Japanese scripts
+			const lower = re[0].charAt(1).toLowerCase();
+			if (lower === re[0].charAt(1)) {
+				result.push(unifyInside(JAPANESE_CLASSES[lower]));
+			}
+			else if (detail.strict) {
+				result.push(`[^${JAPANESE_CLASSES[lower]}]`);
+			}
+			else {
+				result.push(unifyNegatedJapaneseClass(lower));
+			}
+		}
+		else if (re[0].startsWith('\\')) {
 			result.push(re[0]);
 		}
 		else if (re[0].startsWith('[')) {
-			result.push(unifyInside(re[0].substring(1, re[0].length - 1)));
+			if (detail.unicodeSets) {
+				// the class may be nested
+				pattern.lastIndex = findClassEnd(source, re.index);
+				re[0] = source.substring(re.index, pattern.lastIndex);
+			}
+			result.push(unifyInside(expandJapaneseClasses(
+				re[0].substring(1, re[0].length - 1), detail.unicodeSets)));
 		}
 		else if (META_MAP.has(re[0])) {
 			if (re[0] === '.' && typeof target === 'string' && detail.extendDot) {
-				result.push(graphemeRegex(target));
+				result.push(getGraphemeRegex());
 			}
 			else {
 				result.push(re[0]);
@@ -144,7 +717,7 @@ export function transformRegex (source, target, detail = {}, debug) {
 }
 
 export function transformMigemo (source, target, detail = {}, debug) {
-	return transformRegex(source, target, detail, debug);
+	return transformRegex(source, target, {...detail, verbose: false}, debug);
 }
 
 export function transformLiteral (source, target, detail = {}, debug) {
@@ -178,6 +751,46 @@ export function transformLiteral (source, target, detail = {}, debug) {
 	return fixup(result);
 }
 
+export function transformGlob (source, target, detail = {}, debug) {
+	/*
+	 * '*' matches any text in a line, and '?' matches a grapheme cluster.
+	 * they can be escaped by a backslash. everything else is literal.
+	 * '*' is lazy, except at the end, where it would match nothing:
+	 *
+	 *   a*b?c -> a[^\n]*?b(?:...)c
+	 *   a*    -> a[^\n]*
+	 */
+	const result = [];
+	const pattern = /\\[\\*?]|\*+|\?|[^\\*?]+|\\/g;
+	const unifyOutside = detail.strict ? a => a : unifyOutsideClass;
+	const getGraphemeRegex = createGraphemeRegexGetter(target);
+
+	for (let re; (re = pattern.exec(source)) !== null; ) {
+		if (re[0].startsWith('*')) {
+			result.push(pattern.lastIndex < source.length ? '[^\\n]*?' : '[^\\n]*');
+		}
+		else if (re[0] === '?') {
+			result.push(getGraphemeRegex());
+		}
+		else if (re[0].length === 2 && re[0].startsWith('\\')) {
+			result.push(re[0]);
+		}
+		else {
+			result.push(unifyOutside(escapeExpansion(re[0])));
+		}
+	}
+
+	if (debug) {
+		console.log([
+			`*** transformGlob ***`,
+			`  source: "${source}"`,
+			`  result: "${result.join('')}"`
+		].join('\n'));
+	}
+
+	return result.join('');
+}
+
 export function transform (source, target, detail = {}, debug) {
 	switch (detail.mode) {
 	case MODE.REGEX:
@@ -186,6 +799,8 @@ export function transform (source, target, detail = {}, debug) {
 		return transformMigemo(source, target, detail, debug);
 	case MODE.LITERAL:
 		return transformLiteral(source, target, detail, debug);
+	case MODE.GLOB:
+		return transformGlob(source, target, detail, debug);
 	default:
 		throw new Error(`transform: unknown mode: ${detail.mode}`);
 	}
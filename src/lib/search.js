@@ -19,10 +19,13 @@
  * limitations under the License.
  */
 
-import {esc, tag, log, MODE} from './common.js';
+import {esc, tag, log, MODE, DIALECT} from './common.js';
 import {delay} from './utils.js';
 import * as unifier from './unifier.js';
 import * as regexTransformer from './regex-transformer.js';
+import {lintRegex} from './regex-linter.js';
+import {translateDialect} from './regex-dialect.js';
+import * as frameChannel from './frame-channel.js';
 
 /*
  * consts
@@ -34,6 +37,27 @@ const RELATION_UNCLE = 2;
 const RELATION_NEPHEW = 3;
 const RELATION_COUSIN = 4;
 
+const TEXT_INPUT_TYPES = new Set(['text', 'search', 'url', 'tel', 'email', 'number']);
+
+// the elements never rendered even if they are shown
+const NON_CONTENT_ELEMENTS = new Set(['script', 'style', 'noscript', 'template']);
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// the svg elements whose contents are not rendered as texts
+const SVG_NON_CONTENT_ELEMENTS = new Set([
+	'defs', 'title', 'desc', 'metadata', 'symbol', 'clipPath', 'mask', 'pattern',
+	'marker', 'linearGradient', 'radialGradient', 'filter', 'script', 'style'
+]);
+
+// the svg elements treated as blocks
+const SVG_BLOCK_ELEMENTS = new Set(['svg', 'text', 'foreignObject']);
+
+// the options of detail which change the index
+const INDEX_OPTIONS = ['forms', 'hidden', 'generated', 'ruby'];
+
+const PSEUDO_ELEMENTS = ['before', 'after'];
+
 const WAIT_FOR_YIELD_EVERY = 32;
 const WAIT_MSECS = 1;
 const DELAY_LIMIT_MSECS = 500;
@@ -54,20 +78,44 @@ const searchInfoPool = {
 		promise: undefined,
 		info: {
 			unified: true,
-			sets: undefined
+			sets: undefined,
+			frameErrors: [],
+			hasFrames: false,
+			forms: false,
+			hidden: false,
+			generated: false,
+			ruby: false
 		}
 	},
 	strict: {
 		promise: undefined,
 		info: {
 			unified: false,
-			sets: undefined
+			sets: undefined,
+			frameErrors: [],
+			hasFrames: false,
+			forms: false,
+			hidden: false,
+			generated: false,
+			ruby: false
 		}
 	}
 };
 
 export const exceptElementIds = new Set;
 
+/*
+ * parents in the flat tree, which are different from parentNode.
+ * (the nodes assigned to slots in closed shadow roots)
+ */
+const flatParents = new WeakMap;
+
+/*
+ * the virtual text nodes of ::before and ::after, for each host element
+ */
+const pseudoTexts = new WeakMap;
+const pseudoTextSet = new WeakSet;
+
 let sessionKey;
 
 /*
@@ -108,45 +156,296 @@ const trimStart = (() => {
 	}
 })();
 
+/*
+ * note: the nodes in same-origin iframes belong to other realms, so
+ * they are tested by their properties instead of instanceof.
+ */
+function isShadowRoot (node) {
+	return node?.nodeType === 11 && !!node.host;
+}
+
+function getShadowRoot (element) {
+	if (element.shadowRoot) {
+		return element.shadowRoot;
+	}
+
+	// closed shadow roots are only accessible from extensions
+	if (typeof chrome !== 'undefined' && chrome.dom?.openOrClosedShadowRoot) {
+		try {
+			return chrome.dom.openOrClosedShadowRoot(element);
+		}
+		catch {
+			return null;
+		}
+	}
+
+	return null;
+}
+
+function getFlatChildNodes (node) {
+	/*
+	 * returns the children in the flat tree, that is, the tree
+	 * actually rendered:
+	 *
+	 *   - a shadow host has the children of its shadow root
+	 *   - a slot has its assigned nodes (or its own children as fallback)
+	 */
+	if (node.nodeType === 1) {
+		const shadowRoot = getShadowRoot(node);
+		if (shadowRoot) {
+			return shadowRoot.childNodes;
+		}
+
+		if (node.localName === 'slot' && isShadowRoot(node.getRootNode())) {
+			const assigned = node.assignedNodes();
+			if (assigned.length) {
+				return assigned;
+			}
+		}
+	}
+
+	return node.childNodes;
+}
+
+export function getFlatParent (node) {
+	const parent = flatParents.get(node) ?? node.assignedSlot ?? node.parentNode;
+	return isShadowRoot(parent) ? parent.host : parent;
+}
+
+function parseGeneratedContent (content, host) {
+	/*
+	 * returns the text of the value of 'content' property. strings and
+	 * attr() are resolved, while counters and quotes are not, since
+	 * their values are not exposed by the computed style.
+	 */
+	const result = [];
+	const pattern = /"((?:[^"\\]|\\[^])*)"|'((?:[^'\\]|\\[^])*)'|attr\(\s*([^\s),]+)[^)]*\)|(\/)/g;
+	for (let re; re = pattern.exec(content); ) {
+		// the rest of '/' is the alternative text
+		if (re[4]) break;
+
+		if (re[3] !== undefined) {
+			result.push(host.getAttribute(re[3]) ?? '');
+		}
+		else {
+			result.push((re[1] ?? re[2]).replace(
+				/\\(?:([0-9a-fA-F]{1,6})\s?|\n|([^]))/g,
+				($0, code, ch) => code ? String.fromCodePoint(parseInt(code, 16)) : (ch ?? '')));
+		}
+	}
+	return result.join('');
+}
+
+function getGeneratedContent (host, pseudo) {
+	const style = window.getComputedStyle(host, `::${pseudo}`);
+	if (style.display === 'none' || style.visibility === 'hidden') {
+		return '';
+	}
+	return parseGeneratedContent(style.content ?? '', host);
+}
+
+function getPseudoText (host, pseudo) {
+	/*
+	 * returns the virtual text node of a pseudo element. it has enough
+	 * properties of Text to be walked and indexed as a text item.
+	 */
+	let texts = pseudoTexts.get(host);
+	if (!texts) {
+		pseudoTexts.set(host, texts = {});
+	}
+	if (!texts[pseudo]) {
+		texts[pseudo] = {
+			host,
+			pseudo,
+			get parentNode () {
+				return host;
+			},
+			get isConnected () {
+				return host.isConnected;
+			},
+			get nodeValue () {
+				return getGeneratedContent(host, pseudo);
+			}
+		};
+		pseudoTextSet.add(texts[pseudo]);
+	}
+	return texts[pseudo];
+}
+
+function isPseudoText (node) {
+	return pseudoTextSet.has(node);
+}
+
+function getChildNodesWithPseudoTexts (node) {
+	const result = [...getFlatChildNodes(node)];
+	if (node.nodeType === 1) {
+		for (const pseudo of PSEUDO_ELEMENTS) {
+			if (getGeneratedContent(node, pseudo) !== '') {
+				const text = getPseudoText(node, pseudo);
+				pseudo === 'before' ? result.unshift(text) : result.push(text);
+			}
+		}
+	}
+	return result;
+}
+
+function containsFlat (ancestor, node) {
+	for (; node; node = getFlatParent(node)) {
+		if (node === ancestor) {
+			return true;
+		}
+	}
+	return false;
+}
+
+function isFormControl (node) {
+	/*
+	 * the form controls whose values are indexed as virtual texts
+	 * (only if detail.forms is true)
+	 */
+	switch (node?.localName) {
+	case 'input':
+		return TEXT_INPUT_TYPES.has(node.type);
+	case 'textarea':
+	case 'select':
+		return true;
+	}
+	return false;
+}
+
+function isFormControlContent (node) {
+	// the children of a form control, which are replaced by its value
+	return !!node.parentElement?.closest('textarea, select');
+}
+
+function getFormControlValue (node) {
+	if (node.localName === 'select') {
+		return [...node.selectedOptions].map(option => option.label).join(' ');
+	}
+	return node.value;
+}
+
+function getAccessibleName (node) {
+	/*
+	 * the name of an element which has no text of its own, such as
+	 * an image or an icon button. it is indexed as a virtual text
+	 * instead of the contents of the element.
+	 */
+	if (node?.nodeType !== 1 || isFormControl(node)) {
+		return '';
+	}
+
+	let name = node.getAttribute('aria-label')?.trim();
+	if (!name && (node.localName === 'img' || node.localName === 'area'
+	 || node.localName === 'input' && node.type === 'image')) {
+		name = node.getAttribute('alt')?.trim();
+	}
+	if (!name) {
+		name = node.getAttribute('title')?.trim();
+	}
+	if (!name || /\S/.test(node.textContent)) {
+		return '';
+	}
+	return name;
+}
+
+function isLabelledElement (node) {
+	return getAccessibleName(node) !== '';
+}
+
+function isLabelledElementContent (node) {
+	// the descendants of a labelled element, which are replaced by its name
+	for (let parent = getFlatParent(node); parent?.nodeType === 1; parent = getFlatParent(parent)) {
+		if (isLabelledElement(parent)) {
+			return true;
+		}
+	}
+	return false;
+}
+
+function isVirtualText (node, options) {
+	// the elements which are indexed as texts
+	return options.forms && isFormControl(node) || isLabelledElement(node);
+}
+
+function getRubyReading (ruby) {
+	return [...ruby.querySelectorAll('rt')]
+		.filter(rt => rt.closest('ruby') === ruby)
+		.map(rt => rt.textContent.trim())
+		.join('');
+}
+
+function getNodeText (node) {
+	if (node.nodeType === 3 || isPseudoText(node)) {
+		return node.nodeValue;
+	}
+	if (isFormControl(node)) {
+		return getFormControlValue(node);
+	}
+	if (node.localName === 'ruby') {
+		return getRubyReading(node);
+	}
+	return getAccessibleName(node);
+}
+
 function getPath (target, sentinel) {
+	/*
+	 * the path of a pseudo element ends with its name
+	 */
+	if (isPseudoText(target)) {
+		return [...getPath(target.host, sentinel), target.pseudo];
+	}
+
 	const result = [];
-	while (target && target.parentNode && target !== sentinel) {
-		const index = Array.prototype.indexOf.call(target.parentNode.childNodes, target);
+	for (let parent; target && target !== sentinel && (parent = getFlatParent(target)); target = parent) {
+		const index = Array.prototype.indexOf.call(getFlatChildNodes(parent), target);
 		result.unshift(index);
-		target = target.parentNode;
 	}
 	return result;
 }
 
 function getTextNodeFromPath (element, path) {
-	for (let pathIndex = 0; element instanceof Element && pathIndex < path.length; pathIndex++) {
+	for (let pathIndex = 0; element?.nodeType === 1 && pathIndex < path.length; pathIndex++) {
 		const index = path[pathIndex];
+		if (typeof index === 'string') {
+			element = getPseudoText(element, index);
+			break;
+		}
+
+		const childNodes = getFlatChildNodes(element);
 
 		if (index < 0) {
 			throw new Error(`getTextNodeFromPath: index is negative`);
 		}
-		if (index > element.childNodes.length) {
-			throw new Error(`getTextNodeFromPath: index (${index}) is greater than childNodes.length (${element.childNodes.length})`);
+		if (index > childNodes.length) {
+			throw new Error(`getTextNodeFromPath: index (${index}) is greater than childNodes.length (${childNodes.length})`);
 		}
 
-		element = element.childNodes[index];
+		element = childNodes[index];
 	}
 
-	if (!(element instanceof Text)) {
+	if (element?.nodeType !== 3 && !isPseudoText(element) && element?.localName !== 'ruby'
+	 && !isFormControl(element) && !isLabelledElement(element)) {
 		throw new Error(`getTextNodeFromPath: final result is not a text node, ${Object.prototype.toString.call(element)}`);
 	}
 
 	return element;
 }
 
-function getTextNodeFromIndex (index, positions, isEnd) {
+function getTextNodeFromIndex (index, positions, isEnd, nodes) {
 	let positionIndex = findPosition(index, positions, isEnd);
 	if (positionIndex < 0) {
 		throw new Error(`getTextNodeFromIndex: index (${index}) is not in positions`);
 	}
 
+	// the paths of an incrementally updated set may be stale,
+	// so prefer the text node itself
+	if (nodes?.[positionIndex]?.isConnected) {
+		return {textNode: nodes[positionIndex], positionIndex};
+	}
+
 	let elementIndex = positionIndex;
-	while (elementIndex >= 0 && !(positions[elementIndex][1] instanceof Element)) {
+	while (elementIndex >= 0 && typeof positions[elementIndex][1] !== 'object') {
 		elementIndex--;
 	}
 	if (elementIndex < 0) {
@@ -162,76 +461,48 @@ function getTextNodeFromIndex (index, positions, isEnd) {
 	};
 }
 
-function getTextNodeIndexFromCompiledTextIndex (compiledTextIndex, searchInfo, searchSetIndex, isEnd) {
-	const {textNode, positionIndex} = getTextNodeFromIndex(
-		compiledTextIndex, searchInfo.sets[searchSetIndex].positions, isEnd);
-	const {leading, rest} = trimStart(textNode.nodeValue);
-	const buffer = [];
-	const DEBUG = false;//!isEnd && /⑬/.test(textNode.nodeValue);
-
-	let textNodeIndexBefore = undefined;
-	let textNodeIndex = 0;
-	let compiledTextIndex2 = searchInfo.sets[searchSetIndex].positions[positionIndex][0];
-
-	for (const g of (new Intl.Segmenter).segment(rest)) {
-		if (compiledTextIndex2 >= compiledTextIndex) {
-			if (DEBUG && buffer.length) {
-				buffer.push([
-					`breaking loop (1):`,
-					`         textNodeIndex: ${textNodeIndex}`,
-					`   textNodeIndexBefore: ${textNodeIndexBefore}`,
-					`     compiledTextIndex: ${compiledTextIndex}`,
-					`    compiledTextIndex2: ${compiledTextIndex2}`,
-				].join('\n'));
-			}
-			break;
-		}
-
-		const unified = searchInfo.unified ? unifier.unifyGrapheme(g.segment) : g.segment;
-
-		if (DEBUG && !isEnd) {
-			if (buffer.length === 0) {
-				buffer.push(`*** start, isEnd: ${isEnd ? 'true' : 'false'} ***`);
-			}
-			buffer.push([
-				`segment "${esc(g.segment)}":`,
-				`    textNode.nodeValue: "${esc(rest)}"`,
-				`         textNodeIndex: ${textNodeIndex}`,
-				`     compiledTextIndex: ${compiledTextIndex}`,
-				`    compiledTextIndex2: ${compiledTextIndex2}`,
-				`       unified segment: "${esc(unified)}" (${unified.length})`
-			].join('\n'));
-		}
-
-		textNodeIndexBefore = textNodeIndex;
-		textNodeIndex += g.segment.length;
-		compiledTextIndex2 += unified.length;
-	}
-
-	if (!isEnd
-	 && compiledTextIndex2 > compiledTextIndex
-	 && textNodeIndexBefore !== undefined) {
-		textNodeIndex = textNodeIndexBefore;
-		buffer.push([
-			`adjusting textNodeIndex: result: ${textNodeIndex}`,
-		].join('\n'));
+function unifyWithOffsets (s) {
+	/*
+	 * unifies 's' same as unifier.unifyString(), and returns the offset map
+	 * from the unified text to 's'. the map is a list of the grapheme
+	 * boundaries as [<unified index>, <original index>], and is omitted if
+	 * every index is unchanged.
+	 */
+	const offsets = [[0, 0]];
+	let text = '', changed = false;
+	for (const {segment, index} of (new Intl.Segmenter).segment(s)) {
+		const unified = unifier.unifyGrapheme(segment);
+		changed ||= unified.length !== segment.length || segment.length > 1;
+		text += unified;
+		offsets.push([text.length, index + segment.length]);
 	}
+	return {text, offsets: changed ? offsets : undefined};
+}
 
-	if (DEBUG) {
-		buffer.push([
-			`after loop:`,
-			`         textNodeIndex: ${textNodeIndex}`,
-			`   textNodeIndexBefore: ${textNodeIndexBefore}`,
-			`     compiledTextIndex: ${compiledTextIndex}`,
-			`    compiledTextIndex2: ${compiledTextIndex2}`,
-		].join('\n'));
-		console.log(buffer.join('\n'));
+function getTextNodeIndexFromCompiledTextIndex (compiledTextIndex, searchInfo, searchSetIndex, isEnd) {
+	/*
+	 * a match which starts or ends inside a unified grapheme covers
+	 * the whole original grapheme.
+	 */
+	const {positions, nodes, offsets} = searchInfo.sets[searchSetIndex];
+	const {textNode, positionIndex} = getTextNodeFromIndex(
+		compiledTextIndex, positions, isEnd, nodes);
+	const {leading, rest} = trimStart(getNodeText(textNode));
+	const index = compiledTextIndex - positions[positionIndex][0];
+	const map = offsets?.[positionIndex];
+
+	let textNodeIndex = index;
+	if (map) {
+		const boundary = isEnd ?
+			map.find(([unified]) => unified >= index) ?? map[map.length - 1] :
+			map.findLast(([unified]) => unified <= index);
+		textNodeIndex = boundary[1];
 	}
 
 	return {
 		textNode,
 		positionIndex,
-		textNodeIndex: textNodeIndex + leading.length
+		textNodeIndex: Math.min(textNodeIndex, rest.length) + leading.length
 	};
 }
 
@@ -323,6 +594,82 @@ function isSeparated (node1, node2) {
 	return result;
 }
 
+function isBlockDisplay (display) {
+	/*
+	 * note: the children of a MathML formula are 'math', and a formula
+	 * itself is 'inline math' or 'block math'.
+	 */
+	return !(display === 'inline' || display.startsWith('inline-')
+		|| display === 'math' || display === 'inline math'
+		|| display === 'contents'
+		|| display === 'table' || display.startsWith('table-')
+		|| display === 'ruby' || display.startsWith('ruby-')
+		|| display === 'grid'
+		|| display === 'flex');
+}
+
+function isBlockElement (node) {
+	/*
+	 * the svg elements are laid out by their coordinates instead of
+	 * the display property, so each text element is treated as a block.
+	 */
+	if (node.namespaceURI === SVG_NS) {
+		return SVG_BLOCK_ELEMENTS.has(node.localName);
+	}
+	return isBlockDisplay(window.getComputedStyle(node).display);
+}
+
+function createFlatTreeWalker (root, filter, options = {}) {
+	/*
+	 * a TreeWalker (showing elements and texts) which traverses the flat
+	 * tree, so that the contents of open and closed shadow roots are
+	 * visited in the rendered order.
+	 * if options.generated is true, the virtual text nodes of ::before
+	 * and ::after are also visited.
+	 */
+	const getChildNodes = options.generated ?
+		getChildNodesWithPseudoTexts :
+		node => [...getFlatChildNodes(node)];
+	const frames = [{nodes: getChildNodes(root), index: 0}];
+
+	function pushFrame (parent) {
+		const nodes = getChildNodes(parent);
+		for (const node of nodes) {
+			if (node.parentNode !== parent) {
+				flatParents.set(node, parent);
+			}
+		}
+		frames.push({nodes, index: 0});
+	}
+
+	return {
+		nextNode () {
+			while (frames.length) {
+				const frame = frames[frames.length - 1];
+				if (frame.index >= frame.nodes.length) {
+					frames.pop();
+					continue;
+				}
+
+				const node = frame.nodes[frame.index++];
+				if (node.nodeType !== 1 && node.nodeType !== 3 && !isPseudoText(node)) {
+					continue;
+				}
+
+				const result = filter(node);
+				if (node.nodeType === 1 && result !== window.NodeFilter.FILTER_REJECT) {
+					pushFrame(node);
+				}
+				if (result === window.NodeFilter.FILTER_ACCEPT) {
+					return node;
+				}
+			}
+
+			return null;
+		}
+	};
+}
+
 function createBlockWalker (root, options = {}) {
 	const exceptElements = options.exceptElements;
 	const report = options.report ?? (() => {});
@@ -335,15 +682,24 @@ function createBlockWalker (root, options = {}) {
 		};
 	}
 
-	return document.createTreeWalker(
+	return createFlatTreeWalker(
 		root,
-		window.NodeFilter.SHOW_ELEMENT | window.NodeFilter.SHOW_TEXT,
 		node => {
 			if (exceptElementIds.has(node.id) || exceptElements?.has(node)) {
 				return window.NodeFilter.FILTER_REJECT;
 			}
 
-			if (node.nodeType === 1) {
+			if (options.forms && isFormControlContent(node)) {
+				return window.NodeFilter.FILTER_REJECT;
+			}
+
+			if (NON_CONTENT_ELEMENTS.has(node.localName)
+			 || node.namespaceURI === SVG_NS && SVG_NON_CONTENT_ELEMENTS.has(node.localName)) {
+				return window.NodeFilter.FILTER_REJECT;
+			}
+
+			// in the hidden mode, invisible elements are indexed too
+			if (node.nodeType === 1 && !options.hidden) {
 				// skip invisible elements
 				const visibility = node.checkVisibility({
 					contentVisibilityAuto: true,
@@ -355,75 +711,140 @@ function createBlockWalker (root, options = {}) {
 				}
 
 				// skip elements that don'e have size
-				const rect = node.parentNode.getBoundingClientRect();
+				let parent = getFlatParent(node);
+				while (parent.localName === 'slot') {
+					// slots are display:contents, and have no size
+					parent = getFlatParent(parent);
+				}
+				const rect = parent.getBoundingClientRect();
 				if (rect.width === 0 && rect.height === 0) {
 					return window.NodeFilter.FILTER_REJECT;
 				}
-
-				// skip elements that have some disiplay style
-				const display = window.getComputedStyle(node).display;
-				if (display === 'inline' || display.startsWith('inline-')
-				 || display === 'table' || display.startsWith('table-')
-				 || display === 'ruby' || display.startsWith('ruby-')
-				 || display === 'grid'
-				 || display === 'flex') {
-					return window.NodeFilter.FILTER_SKIP;
-				}
 			}
 
+			// note: iframes are inline, so they are reported before
+			// the display check
 			const reportResult = report(node, options);
 			if (reportResult !== undefined) {
 				return reportResult;
 			}
 
+			// the names of nested labelled elements are not indexed twice,
+			// and svg blocks in a labelled element (such as an icon of
+			// a button) do not separate its name
+			if ((isLabelledElement(node) || isPseudoText(node) || node.namespaceURI === SVG_NS)
+			 && isLabelledElementContent(node)) {
+				return window.NodeFilter.FILTER_REJECT;
+			}
+
+			// skip elements that have some disiplay style
+			if (node.nodeType === 1
+			 && !isVirtualText(node, options)
+			 && !isBlockElement(node)) {
+				return window.NodeFilter.FILTER_SKIP;
+			}
+
 			return window.NodeFilter.FILTER_ACCEPT;
-		});
+		},
+		{generated: options.generated});
+}
+
+function getFrameDocument (frame) {
+	/*
+	 * returns the document of a same-origin iframe (including srcdoc and
+	 * about:blank ones), or null for a cross-origin iframe.
+	 */
+	try {
+		return frame.contentDocument?.body ? frame.contentDocument : null;
+	}
+	catch {
+		return null;
+	}
 }
 
-async function getSearchTargetFromIframe (detail, searchRoot) {
-	if (searchRoot.src === 'about:blank') {
+async function getSearchTargetFromIframe (detail, searchRoot, options = {}) {
+	/*
+	 * the contents of a same-origin iframe are walked directly, so that
+	 * its matches have ranges as well as the ones of the body.
+	 * the iframes nested in it are reported through options.report.
+	 */
+	const doc = getFrameDocument(searchRoot);
+	if (doc) {
+		doc.body.normalize();
+		return {
+			...await getSearchTarget(detail, doc.body, {...options, isBody: true}),
+			type: 'document'
+		};
+	}
+
+	if (!searchRoot.src || searchRoot.src === 'about:blank') {
 		return {detail, lines: [], positions: null};
 	}
 
 	try {
-		searchRoot.contentWindow.postMessage({
-			command: 'getSearchTarget', detail, sessionKey
-		}, '*');
-		const result = await Promise.race([
-			new Promise((resolve, reject) => {
-				window.addEventListener('message', e => {
-					resolve(e.data);
-				}, {once: true});
-			}),
-			new Promise((resolve, reject) => {
-				setTimeout(reject, 1000 * 5);
-			})
-		]);
+		const result = await frameChannel.request(
+			searchRoot, sessionKey, 'getSearchTarget', {detail});
 		return {
 			detail,
 			lines: result.sets[0].lines,
 			positions: [0, searchRoot]
 		};
 	}
-	catch (err) {
-		return {detail, lines: [], positions: null};
+	catch (error) {
+		return {detail, lines: [], positions: null, error};
 	}
 }
 
 async function getSearchTarget (detail, searchRoot, options = {}) {
-	const lines = [], positions = [];
+	const lines = [], positions = [], nodes = [], offsets = [];
 	let lastTextNode, lastRootNode;
 	let textLength = 0, currentText = '';
+	let rubyRuns = [], rubyRun;
 
-	for await (const {type, node, root} of blockWalk(searchRoot, options)) {
-		switch (type) {
-		case 'block':
-			if (currentText !== '') {
-				lines.push(currentText);
+	function pushLine () {
+		if (currentText !== '') {
+			lines.push(currentText);
+		}
+
+		/*
+		 * in the ruby mode, the readings of the ruby elements in the line
+		 * follow it as extra lines. consecutive ruby elements share a line,
+		 * so that a word annotated character by character can be matched
+		 * by its whole reading.
+		 */
+		for (const run of rubyRuns) {
+			let text = '';
+			for (const {ruby, root} of run) {
+				let value = getRubyReading(ruby), map;
+				if (!detail.strict) {
+					({text: value, offsets: map} = unifyWithOffsets(value));
+				}
+				if (text === '' && positions.length) {
+					textLength++;
+				}
+				positions.push([textLength, root, ...getPath(ruby, root)]);
+				nodes.push(ruby);
+				offsets.push(map);
+				text += value;
+				textLength += value.length;
 			}
+			lines.push(text);
+		}
 
-			lastTextNode = undefined;
-			currentText = '';
+		lastTextNode = rubyRun = undefined;
+		currentText = '';
+		rubyRuns = [];
+	}
+
+	for await (const {type, node, root} of blockWalk(searchRoot, {
+		...options,
+		forms: detail.forms,
+		hidden: detail.hidden,
+		generated: detail.generated
+	})) {
+		switch (type) {
+		case 'block':
+			pushLine();
 			break;
 
 		case 'text':
@@ -433,13 +854,13 @@ async function getSearchTarget (detail, searchRoot, options = {}) {
 				break;
 			}
 
-			let value = trimStart(node.nodeValue).rest;
+			let value = trimStart(getNodeText(node)).rest, map;
 			if (value === '') {
 				break;
 			}
 
 			if (!detail.strict) {
-				value = unifier.unifyString(value);
+				({text: value, offsets: map} = unifyWithOffsets(value));
 			}
 
 			if (!lastTextNode) {
@@ -452,7 +873,10 @@ async function getSearchTarget (detail, searchRoot, options = {}) {
 				currentText = value;
 			}
 			else {
-				if (isSeparated(node, lastTextNode)
+				// virtual texts are always separated from their neighbors,
+				// while generated contents have their own spaces
+				if (!isPseudoText(node) && !isPseudoText(lastTextNode)
+				 && (node.nodeType === 1 || lastTextNode.nodeType === 1 || isSeparated(node, lastTextNode))
 				 && /\S$/.test(currentText) && /^\S/.test(value)) {
 					currentText += ' ';
 					textLength++;
@@ -484,24 +908,237 @@ async function getSearchTarget (detail, searchRoot, options = {}) {
 			}) + ` "${esc(value)}"`);
 			*/
 
+			nodes.push(node);
+			offsets.push(map);
 			lastTextNode = node;
 			lastRootNode = root;
 			textLength += value.length;
+
+			if (detail.ruby) {
+				const ruby = node.parentElement?.closest('ruby');
+				if (ruby && getRubyReading(ruby) !== '') {
+					if (!rubyRun) {
+						rubyRuns.push(rubyRun = []);
+					}
+					if (rubyRun[rubyRun.length - 1]?.ruby !== ruby) {
+						rubyRun.push({ruby, root});
+					}
+				}
+				else {
+					rubyRun = undefined;
+				}
+			}
 			break;
 		}
 	}
 
-	if (currentText !== '') {
-		lines.push(currentText);
+	pushLine();
+
+	return {detail, lines, positions, nodes, offsets};
+}
+
+function getBlockAncestor (node) {
+	for (; node && node !== document.documentElement; node = getFlatParent(node)) {
+		if (node.nodeType === 1 && isBlockElement(node)) {
+			return node;
+		}
+	}
+	return null;
+}
+
+function isExceptedNode (node) {
+	for (; node; node = getFlatParent(node)) {
+		if (node.nodeType === 1 && exceptElementIds.has(node.id)) {
+			return true;
+		}
+	}
+	return false;
+}
+
+function getSetOfNode (searchInfo, node) {
+	let result;
+	for (const set of searchInfo.sets) {
+		if (set.root && set.nodes && containsFlat(set.root, node)
+		 && (!result || containsFlat(result.root, set.root))) {
+			result = set;
+		}
+	}
+	return result;
+}
+
+function getUpdateUnits (searchInfo, records) {
+	/*
+	 * an update unit is a block element. the texts inside a block never
+	 * share a line with the texts outside it, so the lines of a unit
+	 * can be replaced independently of the others.
+	 */
+	const units = new Set;
+
+	for (const record of records) {
+		if (!record.target.isConnected || isExceptedNode(record.target)) {
+			continue;
+		}
+
+		const unit = getBlockAncestor(record.target);
+		const set = unit ? getSetOfNode(searchInfo, unit) : undefined;
+		if (!set) {
+			return null;
+		}
+
+		if (unit !== set.root) {
+			units.add(unit);
+			continue;
+		}
+
+		// the children of a search root are changed:
+		// only the addition of blocks can be handled
+		if (record.type !== 'childList') {
+			return null;
+		}
+		for (const node of record.addedNodes) {
+			if (node.nodeType === 3 && /^\s*$/.test(node.nodeValue)
+			 || isExceptedNode(node)) {
+				continue;
+			}
+			if (node.nodeType !== 1 || !node.isConnected) {
+				return null;
+			}
+			if (getBlockAncestor(node) !== node) {
+				return null;
+			}
+			units.add(node);
+		}
+	}
+
+	// remove the units contained by other units
+	return [...units].filter(unit => {
+		for (const other of units) {
+			if (other !== unit && containsFlat(other, unit)) {
+				return false;
+			}
+		}
+		return true;
+	});
+}
+
+function replaceLines (set, start, end, st) {
+	/*
+	 * replaces positions[start..end] (and the lines of them) with
+	 * the search target 'st'. returns false if the range is not aligned
+	 * to the line boundaries.
+	 */
+	const {lines, positions, nodes, offsets} = set;
+	const lineOffsets = [0];
+	for (let i = 0; i < lines.length; i++) {
+		lineOffsets.push(lineOffsets[i] + lines[i].length + 1);
+	}
+
+	const startLine = start < positions.length ?
+		lineOffsets.indexOf(positions[start][0]) :
+		lines.length;
+	const endLine = end + 1 < positions.length ?
+		lineOffsets.indexOf(positions[end + 1][0]) :
+		lines.length;
+	if (startLine < 0 || endLine < 0) {
+		return false;
+	}
+
+	const base = lineOffsets[startLine];
+	const newLength = st.lines.reduce((result, line) => result + line.length + 1, 0);
+	const delta = base + newLength - lineOffsets[endLine];
+
+	// the edits of the text are remembered for the live mode
+	set.edits?.push({index: base, length: lineOffsets[endLine] - base, newLength});
+
+	lines.splice(startLine, endLine - startLine, ...st.lines);
+	positions.splice(
+		start, end - start + 1,
+		...st.positions.map(([index, ...rest]) => [index + base, ...rest]));
+	nodes.splice(start, end - start + 1, ...st.nodes);
+	offsets.splice(start, end - start + 1, ...st.offsets);
+
+	for (let i = start + st.positions.length; i < positions.length; i++) {
+		positions[i][0] += delta;
+	}
+
+	set.text = lines.join('\n');
+	return true;
+}
+
+function isLineStart (set, index) {
+	if (index >= set.positions.length) return true;
+	if (index === 0) return true;
+	return set.text.charAt(set.positions[index][0] - 1) === '\n';
+}
+
+function patchUnit (set, unit, st) {
+	const {nodes} = set;
+	let start = -1, end = -1;
+
+	for (let i = 0; i < nodes.length; i++) {
+		if (nodes[i].isConnected && containsFlat(unit, nodes[i])) {
+			if (start < 0) start = i;
+			end = i;
+		}
+	}
+
+	if (start < 0) {
+		// there were no texts in the unit: find the insertion point
+		start = nodes.findIndex(node => node.isConnected
+			&& (unit.compareDocumentPosition(node) & window.Node.DOCUMENT_POSITION_FOLLOWING));
+		if (start < 0) {
+			start = nodes.length;
+		}
+		end = start - 1;
+	}
+
+	// the removed texts adjacent to the unit are removed together
+	let start2 = start, end2 = end;
+	while (start2 > 0 && !nodes[start2 - 1].isConnected) start2--;
+	while (end2 + 1 < nodes.length && !nodes[end2 + 1].isConnected) end2++;
+
+	if (isLineStart(set, start2) && isLineStart(set, end2 + 1)) {
+		return replaceLines(set, start2, end2, st);
 	}
+	if (isLineStart(set, start) && isLineStart(set, end + 1)) {
+		return replaceLines(set, start, end, st);
+	}
+	return false;
+}
+
+function removeDetachedLines (set) {
+	const {nodes} = set;
+	const empty = {lines: [], positions: [], nodes: [], offsets: []};
+
+	for (let i = nodes.length - 1; i >= 0; i--) {
+		if (nodes[i].isConnected) continue;
+
+		let start = i;
+		while (start > 0 && !nodes[start - 1].isConnected) start--;
 
-	return {detail, lines, positions};
+		if (!isLineStart(set, start) || !isLineStart(set, i + 1)) {
+			return false;
+		}
+		if (!replaceLines(set, start, i, empty)) {
+			return false;
+		}
+		i = start;
+	}
+
+	return true;
 }
 
 /*
  * exported functions
  */
 
+/*
+ * returns true if the index is built with the same options as 'detail'
+ */
+export function isIndexedWith (searchInfo, detail) {
+	return INDEX_OPTIONS.every(name => searchInfo[name] === !!detail[name]);
+}
+
 export function setSessionKey (arg) {
 	sessionKey = arg;
 }
@@ -541,7 +1178,7 @@ export async function* blockWalk (root, options = {}) {
 	const blocks = [root];
 	const startTime = Date.now();
 	for (let node, yieldCount = 0; node = walker.nextNode(); ) {
-		if (node.nodeType === 1) {
+		if (node.nodeType === 1 && !isVirtualText(node, options)) {
 			blocks.unshift(node);
 			yield {
 				type: 'block',
@@ -556,7 +1193,7 @@ export async function* blockWalk (root, options = {}) {
 		else {
 			let r;
 			loop: do {
-				for (r = node.parentNode; r !== document.documentElement; r = r.parentNode) {
+				for (r = getFlatParent(node); r && r !== document.documentElement; r = getFlatParent(r)) {
 					if (r === blocks[0]) {
 						break loop;
 					}
@@ -579,7 +1216,7 @@ export async function* blockWalk (root, options = {}) {
 				type: 'text',
 				node,
 				root: r,
-				position: window.getComputedStyle(node.parentNode).position
+				position: window.getComputedStyle(getFlatParent(node)).position
 			};
 			(yieldCount++ % WAIT_FOR_YIELD_EVERY === 0)
 				&& Date.now() - startTime < DELAY_LIMIT_MSECS
@@ -589,6 +1226,8 @@ export async function* blockWalk (root, options = {}) {
 }
 
 export async function getPattern (text, target, detail) {
+	const origin = text;
+
 	if (detail.mode === MODE.MIGEMO && text !== '') {
 		const response = await chrome.runtime.sendMessage({
 			type: 'migemoQuery',
@@ -602,10 +1241,52 @@ export async function getPattern (text, target, detail) {
 		text = response.migemoQuery;
 	}
 
-	text = regexTransformer.transform(text, target, detail);
+	// the regexes of other dialects are translated into the javascript's one
+	const translated = detail.mode === MODE.REGEX
+		&& !!detail.dialect && detail.dialect !== DIALECT.JAVASCRIPT;
+	if (translated) {
+		text = translateDialect(text, detail.dialect);
+	}
+
+	/*
+	 * the v flag is used if it is requested, or if the regex contains
+	 * the syntax which is valid only with it
+	 */
+	const unicodeSets = detail.mode === MODE.REGEX
+		&& (!!detail.unicodeSets
+		 || !translated && regexTransformer.isUnicodeSetsSource(text, detail));
+
+	const flags = 'gms' + (unicodeSets ? 'v' : 'u') + (detail.strict ? '' : 'i');
+
+	let verbose = detail.verbose;
+	if (detail.mode === MODE.REGEX && verbose) {
+		text = regexTransformer.stripVerbose(text, unicodeSets);
+		verbose = false;
+	}
+
+	text = regexTransformer.transform(text, target, {...detail, unicodeSets, verbose});
 
+	/*
+	 * check the final regex, including the expansions by the transformer
+	 * and the ones generated from migemo and glob patterns. the hazards
+	 * are reported in terms of the pattern written by the user.
+	 */
+	let hazards = [];
 	try {
-		return new RegExp(text, 'gmsu' + (detail.strict ? '' : 'i'));
+		({source: text, hazards} = lintRegex(text, flags, origin));
+	}
+	catch (err) {
+		if (err.name === 'HazardError') {
+			throw err;
+		}
+		// leave the syntax errors to RegExp
+	}
+
+	try {
+		const pattern = new RegExp(text, flags);
+		pattern.hazards = hazards;
+		pattern.wholeWord = !!detail.wholeWord;
+		return pattern;
 	}
 	catch (err) {
 		console.error(text);
@@ -634,10 +1315,12 @@ export function getSearchInfo (detail, options = {}) {
 			fixed: new Set,
 			absolute: new Set
 		};
+		let hasFrames = false;
 		const reportCore = (node, gstOptions) => {
 			if (gstOptions.isBody && node.nodeType === 1) {
 				if (node.nodeName === 'IFRAME') {
 					subSearchRoots.iframe.add(node);
+					hasFrames = true;
 					return window.NodeFilter.FILTER_REJECT;
 				}
 				else {
@@ -666,34 +1349,55 @@ export function getSearchInfo (detail, options = {}) {
 		const prop = searchInfoPool[st.detail.strict ? 'strict' : 'unified'];
 
 		if (prop.promise) {
+			prop.info.frameErrors = [];
 			prop.info.sets = [{
 				type: 'body',
+				root: document.body,
 				lines: st.lines,
 				text: st.lines.join('\n'),
-				positions: st.positions
+				positions: st.positions,
+				nodes: st.nodes,
+				offsets: st.offsets
 			}];
 
+			/*
+			 * note: walking a same-origin iframe may find more iframes
+			 * nested in it, so the roots are taken repeatedly.
+			 */
 			loop: for (const [name, nodes] of Object.entries(subSearchRoots)) {
-				const targets = name === 'iframe' ?
-					[...nodes].map(node => getSearchTargetFromIframe(detail, node)) :
-					[...nodes].map(node => getSearchTarget(detail, node, {report}));
-
-				for (const st of await Promise.all(targets)) {
-					const prop = searchInfoPool[st.detail.strict ? 'strict' : 'unified'];
-					if (!prop.promise) {
-						break loop;
-					}
-					if (st.lines.length) {
-						prop.info.sets.push({
-							type: name,
-							lines: st.lines,
-							text: st.lines.join('\n'),
-							positions: st.positions
-						});
+				while (nodes.size) {
+					const roots = [...nodes];
+					nodes.clear();
+
+					const targets = name === 'iframe' ?
+						roots.map(node => getSearchTargetFromIframe(detail, node, {report})) :
+						roots.map(node => getSearchTarget(detail, node, {report}));
+
+					for (const [index, st] of (await Promise.all(targets)).entries()) {
+						const prop = searchInfoPool[st.detail.strict ? 'strict' : 'unified'];
+						if (!prop.promise) {
+							break loop;
+						}
+						if (st.error) {
+							prop.info.frameErrors.push({frame: roots[index], error: st.error});
+						}
+						if (st.lines.length) {
+							prop.info.sets.push({
+								type: st.type ?? name,
+								root: roots[index],
+								lines: st.lines,
+								text: st.lines.join('\n'),
+								positions: st.positions,
+								nodes: st.nodes,
+								offsets: st.offsets
+							});
+						}
 					}
 				}
 			}
 
+			prop.info.hasFrames = hasFrames;
+
 			if (typeof options.onProgress === 'function') {
 				options.onProgress(100);
 			}
@@ -703,13 +1407,226 @@ export function getSearchInfo (detail, options = {}) {
 	}
 
 	const prop = searchInfoPool[detail.strict ? 'strict' : 'unified'];
-	if (!prop.promise || options.ignoreCache) {
+	if (!prop.promise || options.ignoreCache || !isIndexedWith(prop.info, detail)) {
+		for (const name of INDEX_OPTIONS) {
+			prop.info[name] = !!detail[name];
+		}
 		prop.promise = doSearchInfo(detail);
 	}
 
 	return prop.promise;
 }
 
+export async function updateSearchInfo (searchInfo, records) {
+	/*
+	 * patches the lines and positions of the subtrees changed by
+	 * the mutation records. returns false if the search info can not be
+	 * updated incrementally and must be rebuilt.
+	 */
+	if (!searchInfo?.sets) {
+		return false;
+	}
+
+	const units = getUpdateUnits(searchInfo, records);
+	if (!units) {
+		return false;
+	}
+
+	for (const set of searchInfo.sets) {
+		set.edits = [];
+	}
+
+	const detail = {strict: !searchInfo.unified};
+	for (const name of INDEX_OPTIONS) {
+		detail[name] = searchInfo[name];
+	}
+	const subSearchRoots = new Set(searchInfo.sets.map(set => set.root));
+	const targets = [];
+
+	for (const unit of units) {
+		const set = getSetOfNode(searchInfo, unit);
+		if (set.type === 'body') {
+			const p = window.getComputedStyle(unit).position;
+			if (unit.nodeName === 'IFRAME' || p === 'fixed' || p === 'absolute') {
+				return false;
+			}
+		}
+
+		let foundNewSubSearchRoot = false;
+		const report = (node, gstOptions) => {
+			if (gstOptions.isBody && node.nodeType === 1) {
+				if (subSearchRoots.has(node)) {
+					return window.NodeFilter.FILTER_REJECT;
+				}
+				const p = window.getComputedStyle(node).position;
+				if (node.nodeName === 'IFRAME' || p === 'fixed' || p === 'absolute') {
+					foundNewSubSearchRoot = true;
+					return window.NodeFilter.FILTER_REJECT;
+				}
+			}
+		};
+
+		unit.normalize();
+		const st = await getSearchTarget(detail, unit, {isBody: set.type === 'body', report});
+		if (foundNewSubSearchRoot) {
+			return false;
+		}
+
+		targets.push({set, unit, st});
+	}
+
+	// apply all patches at once, after all the walks are finished
+	for (const {set, unit, st} of targets) {
+		if (!patchUnit(set, unit, st)) {
+			return false;
+		}
+	}
+
+	for (const set of searchInfo.sets) {
+		// a removed iframe or the like
+		if (!set.root.isConnected) {
+			return false;
+		}
+		if (set.nodes && !removeDetachedLines(set)) {
+			return false;
+		}
+	}
+
+	return true;
+}
+
+/*
+ * the edits of a set = [
+ *   {
+ *     index: <number>      the start of the replaced lines
+ *     length: <number>     the length of them before the edit
+ *     newLength: <number>  the length of them after the edit
+ *   }
+ * ]
+ *
+ * they are recorded in the order of the patches by updateSearchInfo().
+ */
+
+export function getEditedRanges (edits) {
+	/*
+	 * returns the ranges ([start, end]) of the text after 'edits',
+	 * which are replaced by them. adjacent ranges are joined.
+	 */
+	let ranges = [];
+	for (const {index, length, newLength} of edits) {
+		const delta = newLength - length;
+		const result = [];
+		let start = index, end = index + newLength;
+		for (const range of ranges) {
+			if (range[1] < index) {
+				result.push(range);
+			}
+			else if (range[0] > index + length) {
+				result.push([range[0] + delta, range[1] + delta]);
+			}
+			else {
+				start = Math.min(start, range[0]);
+				end = Math.max(end, range[1] + delta);
+			}
+		}
+		result.push([start, end]);
+		ranges = result.sort((a, b) => a[0] - b[0]);
+	}
+	return ranges;
+}
+
+export function mapEditedIndex (edits, index, length) {
+	/*
+	 * maps 'index' of the text before 'edits' to the one after them.
+	 * returns -1 if the range of 'length' from 'index' is replaced.
+	 */
+	for (const edit of edits) {
+		if (index + length <= edit.index) {
+			continue;
+		}
+		if (index >= edit.index + edit.length) {
+			index += edit.newLength - edit.length;
+			continue;
+		}
+		return -1;
+	}
+	return index;
+}
+
+export function getUnobservedChanges (searchInfo) {
+	/*
+	 * the contents of iframes and the values of form fields change
+	 * without any mutation of the body, so they must be checked again
+	 * when a panel session starts:
+	 *
+	 *   - the index which contains iframes can not be patched, and must
+	 *     be rebuilt (null is returned)
+	 *   - the form fields are returned as the mutation records of them,
+	 *     which make updateSearchInfo() read their values again
+	 */
+	if (!searchInfo?.sets || searchInfo.hasFrames) {
+		return null;
+	}
+	if (!searchInfo.forms) {
+		return [];
+	}
+
+	const controls = new Set;
+	for (const set of searchInfo.sets) {
+		for (const node of set.nodes ?? []) {
+			if (isFormControl(node)) {
+				controls.add(node);
+			}
+		}
+		// including the empty ones, which are not indexed
+		for (const node of set.root.querySelectorAll?.('input, textarea, select') ?? []) {
+			if (isFormControl(node)) {
+				controls.add(node);
+			}
+		}
+	}
+
+	return [...controls].map(target => {
+		return {type: 'attributes', target, addedNodes: [], removedNodes: []};
+	});
+}
+
+export function markMatch (searchInfo, match) {
+	/*
+	 * remembers the positions which a match ({text, index, setIndex})
+	 * starts and ends in. updateSearchInfo() keeps the positions of
+	 * the unchanged texts (only shifting their indexes), so the match
+	 * can be found again by relocateMatch() after the index is patched.
+	 */
+	const positions = searchInfo?.sets?.[match?.setIndex]?.positions;
+	if (!Array.isArray(positions)) {
+		return null;
+	}
+
+	const start = positions[findPosition(match.index, positions)];
+	const end = positions[findPosition(match.index + match.text.length, positions, true)];
+	if (!start || !end) {
+		return null;
+	}
+
+	return {match, start, end, offset: match.index - start[0], span: end[0] - start[0]};
+}
+
+export function relocateMatch (searchInfo, mark) {
+	/*
+	 * returns the match marked by markMatch() at its new index, or null
+	 * if the texts of the match are changed or removed
+	 */
+	const positions = searchInfo?.sets?.[mark?.match.setIndex]?.positions;
+	if (!Array.isArray(positions)
+	 || !positions.includes(mark.start) || !positions.includes(mark.end)
+	 || mark.end[0] - mark.start[0] !== mark.span) {
+		return null;
+	}
+
+	return {...mark.match, index: mark.start[0] + mark.offset};
+}
+
 export function dumpSearchInfo (searchInfo) {
 	function dumpPositions (p) {
 		return p
@@ -738,7 +1655,7 @@ export function dumpSearchInfo (searchInfo) {
 
 		log(`positions:\n\t"${dumpPositions(positions)}"`);
 
-		if (positions[1] instanceof Node && positions[1].nodeName === 'IFRAME') {
+		if (positions[1]?.nodeName === 'IFRAME') {
 			log(`skipping iframe information`);
 			continue;
 		}
@@ -754,7 +1671,7 @@ export function dumpSearchInfo (searchInfo) {
 					const index = position[0];
 					let pathIndex = 1;
 
-					if (position[pathIndex] instanceof Node) {
+					if (typeof position[pathIndex] === 'object') {
 						element = position[pathIndex++];
 						buffer.push(`\telement: ${element.nodeName}`);
 					}
@@ -790,7 +1707,7 @@ export function dumpSearchInfo (searchInfo) {
 					}
 
 				} while (positionIndex < positions.length
-					&& !(positions[positionIndex][1] instanceof Node));
+					&& typeof positions[positionIndex][1] !== 'object');
 			}
 			else {
 				throw new Error('lines and positions are unbalanced!');
@@ -808,7 +1725,8 @@ export function getFoundItemRange (matchResult, searchInfo, searchSetIndex) {
 		return {
 			match: {
 				text: matchResult[0],
-				index: matchResult.index
+				index: matchResult.index,
+				setIndex: searchSetIndex
 			},
 			target: searchInfo.sets[searchSetIndex].positions[1]
 		};
@@ -816,13 +1734,13 @@ export function getFoundItemRange (matchResult, searchInfo, searchSetIndex) {
 	else {
 		const start = getTextNodeIndexFromCompiledTextIndex(
 			matchResult.index, searchInfo, searchSetIndex);
-		if (start.textNodeIndex >= start.textNode.nodeValue.length) {
+		if (start.textNodeIndex >= getNodeText(start.textNode).length) {
 			console.log([
 				`*** getFoundItemRange ***`,
 				`!Invalid start range!`,
 				`            matchResult[0]: "${esc(matchResult[0])}"`,
 				`       start.textNodeIndex: ${start.textNodeIndex}`,
-				`  start.textNode.nodeValue: "${esc(start.textNode.nodeValue)}"`
+				`  start.textNode.nodeValue: "${esc(getNodeText(start.textNode))}"`
 			].join('\n'));
 			return null;
 		}
@@ -835,16 +1753,49 @@ export function getFoundItemRange (matchResult, searchInfo, searchSetIndex) {
 				`!Invalid end range!`,
 				`          matchResult[0]: "${esc(matchResult[0])}"`,
 				`       end.textNodeIndex: ${end.textNodeIndex}`,
-				`  end.textNode.nodeValue: "${esc(end.textNode.nodeValue)}"`
+				`  end.textNode.nodeValue: "${esc(getNodeText(end.textNode))}"`
 			].join('\n'));
 			return null;
 		}
 
+		/*
+		 * a match in a form control is selected in the control itself,
+		 * and a match in an accessible name, a generated content or
+		 * a reading of ruby emphasizes its owner element.
+		 * a match across their boundaries can not be selected at all.
+		 */
+		if (start.textNode.nodeType !== 3 || end.textNode.nodeType !== 3) {
+			// only the readings of consecutive ruby elements can be
+			// matched as a whole
+			const rubies = searchInfo.sets[searchSetIndex].nodes
+				?.slice(start.positionIndex, end.positionIndex + 1);
+			if (start.textNode !== end.textNode
+			 && !rubies?.every(node => node.localName === 'ruby')) {
+				return null;
+			}
+			const result = {
+				match: {
+					text: matchResult[0],
+					index: matchResult.index,
+					setIndex: searchSetIndex
+				},
+				target: isPseudoText(start.textNode) ? start.textNode.host : start.textNode
+			};
+			if (isFormControl(start.textNode)) {
+				result.selection = [start.textNodeIndex, end.textNodeIndex];
+			}
+			if (start.textNode !== end.textNode) {
+				result.targets = rubies;
+			}
+			return result;
+		}
+
 		/*
 		 * foundItemRange = {
 		 *     match: {
 		 *         text: <string>
 		 *         index: <number>
+		 *         setIndex: <number>
 		 *     },
 		 *     start: {
 		 *         textNode: <Text>
@@ -855,17 +1806,41 @@ export function getFoundItemRange (matchResult, searchInfo, searchSetIndex) {
 		 *         textNode: <Text>
 		 *         positionIndex: <number>
 		 *         textNodeIndex: <number>
-		 *     }
+		 *     },
+		 *     textNodes: [<Text>] (only if the match crosses shadow boundaries)
+		 * }
+		 *
+		 * or, a match in a form control or an accessible name:
+		 *
+		 * foundItemRange = {
+		 *     match: {...}
+		 *     target: <Element>
+		 *     targets: [<Element>] (only if the match crosses ruby elements)
+		 *     selection: [<start offset>, <end offset>] (only for a form control)
 		 * }
 		 */
-		return {
+		const result = {
 			match: {
 				text: matchResult[0],
-				index: matchResult.index
+				index: matchResult.index,
+				setIndex: searchSetIndex
 			},
 			start,
 			end
 		};
+
+		// a Range can not cross shadow boundaries, so the emphasis needs
+		// all the text nodes in the match
+		const nodes = searchInfo.sets[searchSetIndex].nodes;
+		if (nodes && start.positionIndex !== end.positionIndex) {
+			const textNodes = nodes.slice(start.positionIndex, end.positionIndex + 1);
+			const root = start.textNode.getRootNode();
+			if (textNodes.some(node => node.getRootNode() !== root)) {
+				result.textNodes = textNodes;
+			}
+		}
+
+		return result;
 	}
 }
 
@@ -880,15 +1855,56 @@ export function close () {
 	searchInfoPool.strict.positions = undefined;
 }
 
-export function* execLoop (pattern, text, limit = 1000) {
+function isWordBoundary (words, text, index) {
+	return index === 0 || index === text.length
+		|| words.containing(index).index === index;
+}
+
+export function createTimeoutError (budget) {
+	const err = new Error(`execLoop: time budget (${budget} msecs) exceeded`);
+	err.name = 'TimeoutError';
+	err.budget = budget;
+	return err;
+}
+
+export function* execLoop (pattern, text, limit = 1000, budget) {
+	/*
+	 * note: a single exec() can not be interrupted from the same thread.
+	 * the budget is checked between matches here, and a catastrophic exec()
+	 * is handled by terminating the worker (see matcher.js).
+	 */
+	const deadline = typeof budget === 'number' ? Date.now() + budget : undefined;
+
+	/*
+	 * in the whole word mode, the matches whose ends are not on the word
+	 * boundaries are skipped. unlike \b, the boundaries are given by
+	 * Intl.Segmenter, so they also work for CJK and Thai.
+	 */
+	const words = pattern.wholeWord ?
+		(new Intl.Segmenter(undefined, {granularity: 'word'})).segment(text) :
+		undefined;
+
 	while (true) {
-		// TBD: what about ReDoS?
+		if (deadline !== undefined && Date.now() > deadline) {
+			throw createTimeoutError(budget);
+		}
+
 		const lastIndex = pattern.lastIndex;
 		const re = pattern.exec(text);
 		if (!re || re[0].length === 0) break;
 
 		re.graphemes = [...(new Intl.Segmenter).segment(re[0])];
 
+		/*
+		 * retry from the next grapheme of the start of the skipped match
+		 */
+		if (words
+		 && (!isWordBoundary(words, text, re.index)
+		  || !isWordBoundary(words, text, re.index + re[0].length))) {
+			pattern.lastIndex = re.index + re.graphemes[0].segment.length;
+			continue;
+		}
+
 		/*
 		 * truncatate re[0] if exceeds 'limit' (in grapheme clusters)
 		 */
@@ -902,6 +1918,33 @@ export function* execLoop (pattern, text, limit = 1000) {
 	}
 }
 
+/*
+ * returns true if 're' directly follows 'last' and has only one grapheme.
+ * a series of such matches is combined into a chunk by the content script.
+ */
+export function isContinuedMatch (last, re) {
+	return !!last
+		&& last.index + last[0].length === re.index
+		&& re.graphemes.length === 1;
+}
+
+/*
+ * returns the number of matches of 'pattern' in 'text',
+ * taking the whole word mode into account.
+ */
+export function countMatches (pattern, text) {
+	if (!pattern.wholeWord) {
+		return text.match(pattern)?.length ?? 0;
+	}
+
+	let result = 0;
+	pattern.lastIndex = 0;
+	for (const re of execLoop(pattern, text, null)) {
+		result++;
+	}
+	return result;
+}
+
 /*
  * A little investigation:
  *   Which extensions allow regular expression searches across multiple elements?
@@ -0,0 +1,164 @@
+import assert from 'node:assert/strict';
+
+import * as frameChannel from '../src/lib/frame-channel.js';
+
+/*
+ * asserts:
+ *   equal(actual, expected[, message])
+ *
+ * note: both the parent frame and the iframe live in this process.
+ *       the iframe is emulated by a fake contentWindow which passes
+ *       the connection request to accept().
+ */
+
+const PARENT_ORIGIN = 'https://parent.example';
+const SESSION_KEY = 'session-key';
+
+const parentWindow = {};
+const ports = [];
+
+function createFrame (src, handler, options = {}) {
+	const log = [];
+	return Object.assign(new EventTarget, {
+		src,
+		log,
+		contentWindow: {
+			postMessage (data, targetOrigin, transfer) {
+				log.push(targetOrigin);
+				ports.push(...transfer);
+				if (options.silent) return;
+
+				const e = {
+					source: options.source ?? parentWindow,
+					origin: options.origin ?? PARENT_ORIGIN,
+					data,
+					ports: transfer
+				};
+				log.push(frameChannel.accept(e, options.sessionKey ?? SESSION_KEY, handler));
+			}
+		}
+	});
+}
+
+describe('frame-channel', () => {
+	before(() => {
+		globalThis.window = {parent: parentWindow};
+		globalThis.location = {ancestorOrigins: [PARENT_ORIGIN]};
+		globalThis.document = {baseURI: `${PARENT_ORIGIN}/index.html`};
+	});
+
+	after(() => {
+		for (const port of ports) {
+			port.close();
+		}
+		delete globalThis.window;
+		delete globalThis.location;
+		delete globalThis.document;
+	});
+
+	it('request to the origin of the frame', async () => {
+		const frame = createFrame('https://child.example/frame.html', (command, data) => {
+			return `${command}:${data.value}`;
+		});
+
+		const result = await frameChannel.request(frame, SESSION_KEY, 'echo', {value: 1});
+		assert.equal(result, 'echo:1');
+		assert.deepEqual(frame.log, ['https://child.example', true]);
+
+		// the channel is reused
+		const result2 = await frameChannel.request(frame, SESSION_KEY, 'echo', {value: 2});
+		assert.equal(result2, 'echo:2');
+		assert.equal(frame.log.length, 2);
+
+		frameChannel.disconnect(frame);
+	});
+
+	it('parallel requests to several frames', async () => {
+		const frames = [0, 1, 2].map(n => {
+			return createFrame(`https://child${n}.example/`, async (command, data) => {
+				// the frame which receives the request first responds last
+				await new Promise(resolve => setTimeout(resolve, (3 - n) * 10));
+				return `frame${n}:${data.value}`;
+			});
+		});
+
+		const results = await Promise.all(frames.map((frame, n) => {
+			return frameChannel.request(frame, SESSION_KEY, 'echo', {value: n});
+		}));
+		assert.deepEqual(results, ['frame0:0', 'frame1:1', 'frame2:2']);
+
+		frames.forEach(frameChannel.disconnect);
+	});
+
+	it('error in the frame', async () => {
+		const frame = createFrame('https://child.example/', () => {
+			throw new Error('failed in the frame');
+		});
+
+		await assert.rejects(
+			frameChannel.request(frame, SESSION_KEY, 'echo'),
+			{message: 'failed in the frame'});
+
+		frameChannel.disconnect(frame);
+	});
+
+	it('reject a request from other than the parent', async () => {
+		const handler = () => true;
+
+		assert.equal(createRequest({source: {}}), false);
+		assert.equal(createRequest({origin: 'https://evil.example'}), false);
+		assert.equal(createRequest({sessionKey: 'wrong-key'}), false);
+		assert.equal(createRequest({}), true);
+
+		function createRequest (options) {
+			const frame = createFrame('https://child.example/', handler, options);
+			frame.contentWindow.postMessage(
+				{command: 'connect', sessionKey: SESSION_KEY},
+				'https://child.example',
+				[new MessageChannel().port2]);
+			return frame.log[1];
+		}
+	});
+
+	it('timeout', async () => {
+		const frame = createFrame('https://child.example/', () => true, {silent: true});
+
+		await assert.rejects(
+			frameChannel.request(frame, SESSION_KEY, 'echo', {}, 10),
+			err => {
+				assert.equal(err.name, 'FrameTimeoutError');
+				assert.equal(err.frame, frame);
+				return true;
+			});
+	});
+
+	it('reconnect after a request timeout', async () => {
+		let hang = true;
+		const frame = createFrame('https://child.example/', () => {
+			return hang ? new Promise(() => {}) : 'done';
+		});
+
+		await assert.rejects(
+			frameChannel.request(frame, SESSION_KEY, 'echo', {}, 10),
+			{name: 'FrameTimeoutError'});
+
+		hang = false;
+		assert.equal(await frameChannel.request(frame, SESSION_KEY, 'echo'), 'done');
+		assert.equal(frame.log.length, 4);
+
+		frameChannel.disconnect(frame);
+	});
+
+	it('reconnect after the frame is loaded again', async () => {
+		const frame = createFrame('https://child.example/', () => 'done');
+
+		assert.equal(await frameChannel.request(frame, SESSION_KEY, 'echo'), 'done');
+		assert.equal(frame.log.length, 2);
+
+		frame.dispatchEvent(new Event('load'));
+		assert.equal(await frameChannel.request(frame, SESSION_KEY, 'echo'), 'done');
+		assert.equal(frame.log.length, 4);
+
+		frameChannel.disconnect(frame);
+	});
+});
@@ -0,0 +1,112 @@
+import assert from 'node:assert/strict';
+
+/*
+ * asserts:
+ *   equal(actual, expected[, message])
+ *
+ * note: the worker is run in this process. its global functions are
+ *       replaced by the fake ones which record the events.
+ */
+
+describe('match-worker', () => {
+	let handler;
+	const events = [];
+
+	before(async () => {
+		globalThis.self = {
+			addEventListener (type, listener) {
+				handler = listener;
+			}
+		};
+		globalThis.postMessage = data => {
+			events.push(data);
+		};
+		await import('../src/lib/match-worker.js');
+	});
+
+	after(() => {
+		delete globalThis.self;
+		delete globalThis.postMessage;
+	});
+
+	beforeEach(() => {
+		events.length = 0;
+	});
+
+	it('matches are posted in a batch before the next exec()', () => {
+		const exec = RegExp.prototype.exec;
+		const now = Date.now;
+		let time = 0;
+		RegExp.prototype.exec = function (...args) {
+			// each exec() takes 30 msecs
+			time += 30;
+			events.push('exec');
+			return exec.apply(this, args);
+		};
+		Date.now = () => time;
+		try {
+			handler({data: {
+				id: 1,
+				command: 'exec',
+				jobs: [{source: 'a', flags: 'gu', text: 'aaa'}],
+				limit: 10
+			}});
+		}
+		finally {
+			RegExp.prototype.exec = exec;
+			Date.now = now;
+		}
+
+		assert.deepEqual(events.map(e => e.type ?? e), [
+			'exec', 'exec', 'match', 'exec', 'exec', 'match', 'done'
+		]);
+		assert.deepEqual(events.filter(e => e.type === 'match').map(e => e.matches), [
+			[{text: 'a', index: 0}, {text: 'a', index: 1}],
+			[{text: 'a', index: 2}]
+		]);
+	});
+
+	it('stop at the maximum number of matches', () => {
+		handler({data: {
+			id: 2,
+			command: 'exec',
+			jobs: [
+				{source: 'ab', flags: 'gu', text: 'abab'},
+				{source: 'ab', flags: 'gu', text: 'abab'}
+			],
+			limit: 10,
+			max: 3
+		}});
+		assert.deepEqual(events, [
+			{id: 2, type: 'match', setIndex: 0, matches: [{text: 'ab', index: 0}, {text: 'ab', index: 2}]},
+			{id: 2, type: 'match', setIndex: 1, matches: [{text: 'ab', index: 0}]},
+			{id: 2, type: 'done'}
+		]);
+
+		// a series of matches with one grapheme is counted once
+		events.length = 0;
+		handler({data: {
+			id: 3,
+			command: 'exec',
+			jobs: [{source: '[ab]', flags: 'gu', text: 'aa-b'}],
+			limit: 10,
+			max: 1
+		}});
+		assert.deepEqual(events, [
+			{id: 3, type: 'match', setIndex: 0, matches: [{text: 'a', index: 0}, {text: 'a', index: 1}]},
+			{id: 3, type: 'done'}
+		]);
+	});
+
+	it('count', () => {
+		handler({data: {
+			id: 4,
+			command: 'count',
+			jobs: [{source: 'a', flags: 'gu', text: 'aba'}]
+		}});
+		assert.deepEqual(events, [
+			{id: 4, type: 'count', setIndex: 0, count: 2},
+			{id: 4, type: 'done'}
+		]);
+	});
+});
@@ -0,0 +1,123 @@
+import assert from 'node:assert/strict';
+
+import * as matcher from '../src/lib/matcher.js';
+
+/*
+ * asserts:
+ *   equal(actual, expected[, message])
+ *
+ * note: there is no chrome runtime here, so matcher always falls back
+ *       to matching on the main thread.
+ */
+
+describe('matcher', () => {
+	afterEach(() => {
+		matcher.dispose();
+	});
+
+	it('fall back quickly if the worker is blocked by the CSP', async () => {
+		globalThis.chrome = {runtime: {getURL: path => `chrome-extension://id/${path}`}};
+		globalThis.document = new EventTarget;
+		globalThis.Worker = class extends EventTarget {
+			postMessage () {}
+			terminate () {}
+		};
+		try {
+			const start = Date.now();
+			const iterator = matcher.exec([{pattern: /a/gu, text: 'aa'}]);
+			const first = iterator.next();
+
+			const e = new Event('securitypolicyviolation');
+			e.effectiveDirective = 'worker-src';
+			e.blockedURI = 'blob';
+			document.dispatchEvent(e);
+
+			assert.equal((await first).value.re.index, 0);
+			assert.equal((await iterator.next()).value.re.index, 1);
+			assert.ok(Date.now() - start < 1000);
+		}
+		finally {
+			delete globalThis.chrome;
+			delete globalThis.document;
+			delete globalThis.Worker;
+		}
+	});
+
+	it('exec', async () => {
+		const result = [];
+		for await (const {setIndex, re} of matcher.exec([
+			{pattern: /a./gu, text: 'abcabc'},
+			{pattern: /c/gu, text: 'xcx'}
+		])) {
+			result.push(`${setIndex}:${re.index}:${re[0]}:${re.graphemes.length}`);
+		}
+		assert.deepEqual(result, ['0:0:ab:2', '0:3:ab:2', '1:1:c:1']);
+	});
+
+	it('exec up to the maximum number of matches', async () => {
+		const result = [];
+		for await (const {setIndex, re} of matcher.exec([
+			{pattern: /a/gu, text: 'aa-a'},
+			{pattern: /a/gu, text: 'a'}
+		], 10, undefined, 2)) {
+			result.push(`${setIndex}:${re.index}`);
+		}
+		// the series of 'a' at the beginning is counted once
+		assert.deepEqual(result, ['0:0', '0:1', '0:3']);
+	});
+
+	it('count', async () => {
+		const actual = await matcher.count([
+			{pattern: /a/gu, text: 'aaa'},
+			{pattern: /a/gu, text: 'bab'}
+		]);
+		assert.equal(actual, 4);
+	});
+
+	it('count within the budget', async () => {
+		await assert.rejects(
+			matcher.count([{pattern: /a/gu, text: 'aaa'}], -1),
+			{name: 'TimeoutError', budget: -1});
+	});
+
+	it('cancel', async () => {
+		const result = [];
+		for await (const {re} of matcher.exec([{pattern: /a/gu, text: 'aaaa'}])) {
+			result.push(re.index);
+			matcher.cancel();
+		}
+		assert.deepEqual(result, [0]);
+	});
+
+	it('cancel the fallback from outside', async () => {
+		const now = Date.now;
+		let time = 0;
+		// each call takes 10 msecs
+		Date.now = () => time += 10;
+		setTimeout(() => {
+			matcher.cancel();
+		}, 0);
+		try {
+			const result = [];
+			for await (const {re} of matcher.exec([{pattern: /a/gu, text: 'a'.repeat(100)}])) {
+				result.push(re.index);
+			}
+			assert.ok(result.length < 100);
+		}
+		finally {
+			Date.now = now;
+		}
+	});
+
+	it('newer run cancels older one', async () => {
+		const older = matcher.exec([{pattern: /a/gu, text: 'aaaa'}]);
+		const first = await older.next();
+		assert.equal(first.value.re.index, 0);
+
+		const actual = await matcher.count([{pattern: /a/gu, text: 'aa'}]);
+		assert.equal(actual, 2);
+
+		const second = await older.next();
+		assert.equal(second.done, true);
+	});
+});
@@ -2,8 +2,9 @@ import assert from 'node:assert/strict';
 
 import {JSDOM} from 'jsdom';
 
+import {MODE} from '../src/lib/common.js';
 import {
-	foundItemList
+	foundItemList, parseSpecifiers, getEraseStart
 } from '../src/lib/panel.js';
 
 function setupDocument (html) {
@@ -77,6 +78,38 @@ function dumpChildren (node) {
 describe('emphasis', () => {
 	afterEach(terminateDocument);
 
+	it('the active found item is kept by the anchor', () => {
+		setupDocument('<html><body><p>one match</p><p>two match</p></body></html>');
+
+		function addMatches () {
+			foundItemList.open();
+			for (const p of document.querySelectorAll('p')) {
+				foundItemList.add({
+					start: {textNode: p.firstChild, positionIndex: 0, textNodeIndex: 4},
+					end: {textNode: p.firstChild, positionIndex: 0, textNodeIndex: 9}
+				});
+			}
+			foundItemList.close();
+		}
+
+		// the anchor takes precedence over the found item in the viewport
+		const second = document.querySelectorAll('p')[1];
+		const range = document.createRange();
+		range.setStart(second, 0);
+		addMatches();
+		foundItemList.emphasis(range);
+		assert.equal(foundItemList.anchor().startContainer, second);
+
+		// the contents are added before the active found item, and searched again
+		const anchor = foundItemList.anchor();
+		foundItemList.revert();
+		document.body.insertAdjacentHTML('afterbegin', '<p>new match</p>');
+		addMatches();
+		foundItemList.emphasis(anchor);
+		assert.equal(foundItemList.length, 3);
+		assert.equal(foundItemList.anchor().startContainer, second);
+	});
+
 	it('emphasis single node, class A', () => {
 		setupDocument('<html><p>thisisTEXTnode</p></html>');
 
@@ -261,6 +294,155 @@ describe('emphasis', () => {
 		assert.match(div.childNodes[2].className, /-emphasis-B$/, 'em#4');
 		assert.equal(div.childNodes.length, 3, 'em#5');
 	});
+
+	it('matches in an iframe', () => {
+		setupDocument('<html><p>text</p><iframe></iframe></html>');
+
+		// <<<
+		const iframe = document.querySelector('iframe');
+		foundItemList.open();
+		for (let i = 0; i < 3; i++) {
+			foundItemList.add({
+				match: {text: 'match', index: i * 10},
+				target: iframe,
+				frameKey: i
+			});
+		}
+		foundItemList.close();
+
+		foundItemList.emphasis();
+
+		assert.equal(foundItemList.length, 3, 'em#1');
+		assert.equal(iframe.className, '', 'em#2');
+		assert.deepEqual(
+			[0, 1, 2].map(i => foundItemList.item(i).frameKey),
+			[0, 1, 2], 'em#3');
+		// >>>
+	});
+
+	it('emphasis in a same-origin iframe', () => {
+		setupDocument('<html><p>text</p><iframe></iframe></html>');
+
+		// <<<
+		const frameDocument = document.querySelector('iframe').contentDocument;
+		frameDocument.body.innerHTML = '<p>thisisTEXTnode</p>';
+		const p = frameDocument.querySelector('p');
+		foundItemList.open();
+		foundItemList.add({
+			start: {
+				textNode: p.firstChild,
+				positionIndex: 0,
+				textNodeIndex: 6
+			},
+			end: {
+				textNode: p.firstChild,
+				positionIndex: 0,
+				textNodeIndex: 10
+			}
+		});
+		foundItemList.close();
+
+		foundItemList.emphasis();
+
+		assert.match(p.innerHTML, /^thisis<span class="[^"]+-emphasis-A">TEXT<\/span>node$/, 'em#1');
+		assert.equal(foundItemList.item(0).nodes[0].ownerDocument, frameDocument, 'em#2');
+
+		foundItemList.revert();
+
+		assert.equal(p.innerHTML, 'thisisTEXTnode', 'revert#1');
+		assert.equal(p.childNodes.length, 1, 'revert#2');
+		// >>>
+	});
+
+	it('emphasis in svg', () => {
+		setupDocument('<html><p><svg><text>thisisTEXTnode</text></svg></p></html>');
+
+		// <<<
+		const text = document.querySelector('text');
+		foundItemList.open();
+		foundItemList.add({
+			start: {
+				textNode: text.firstChild,
+				positionIndex: 0,
+				textNodeIndex: 6
+			},
+			end: {
+				textNode: text.firstChild,
+				positionIndex: 0,
+				textNodeIndex: 10
+			}
+		});
+		foundItemList.close();
+
+		foundItemList.emphasis();
+
+		assert.match(text.innerHTML, /^thisis<tspan class="[^"]+-emphasis-A">TEXT<\/tspan>node$/, 'em#1');
+		assert.equal(text.firstElementChild.namespaceURI, 'http://www.w3.org/2000/svg', 'em#2');
+
+		foundItemList.revert();
+
+		assert.equal(text.innerHTML, 'thisisTEXTnode', 'revert#1');
+		assert.equal(text.childNodes.length, 1, 'revert#2');
+		// >>>
+	});
+
+	it('matches in a form field', () => {
+		setupDocument('<html><p><input class="field" value="hello world"></p></html>');
+
+		// <<<
+		const input = document.querySelector('input');
+		foundItemList.open();
+		foundItemList.add({
+			match: {text: 'world', index: 6},
+			target: input,
+			selection: [6, 11]
+		});
+		foundItemList.close();
+
+		foundItemList.emphasis();
+		assert.match(input.className, /^field [^ ]+-emphasis-C$/, 'em#1');
+
+		assert.deepEqual(foundItemList.item(0).selection, [6, 11], 'em#2');
+
+		foundItemList.revert();
+		assert.equal(input.className, 'field', 'revert#1');
+		// >>>
+	});
+
+	it('emphasis across shadow boundaries', () => {
+		setupDocument('<html><p>this<x-host></x-host>node</p></html>');
+
+		// <<<
+		const p = document.querySelector('p');
+		const shadowRoot = p.querySelector('x-host').attachShadow({mode: 'open'});
+		shadowRoot.innerHTML = 'isTEXT';
+		foundItemList.open();
+		foundItemList.add({
+			start: {
+				textNode: p.firstChild,
+				positionIndex: 0,
+				textNodeIndex: 2
+			},
+			end: {
+				textNode: p.lastChild,
+				positionIndex: 2,
+				textNodeIndex: 2
+			},
+			textNodes: [p.firstChild, shadowRoot.firstChild, p.lastChild]
+		});
+		foundItemList.close();
+
+		foundItemList.emphasis();
+
+		assert.match(p.innerHTML, /^th<span[^>]+>is<\/span><x-host><\/x-host><span[^>]+>no<\/span>de$/, 'em#1');
+		assert.match(shadowRoot.innerHTML, /^<span class="[^"]+-emphasis-B">isTEXT<\/span>$/, 'em#2');
+
+		foundItemList.revert();
+
+		assert.equal(p.innerHTML, 'this<x-host></x-host>node', 'revert#1');
+		assert.equal(shadowRoot.innerHTML, 'isTEXT', 'revert#2');
+		// >>>
+	});
 });
 
 describe('Range#surroundingContents', () => {
@@ -364,4 +546,58 @@ describe('Range#surroundingContents', () => {
 	});
 });
 
+describe('mode specifiers', () => {
+	it('a leading run of specifiers', () => {
+		assert.deepEqual(parseSpecifiers('\\C\\M\\Ofoo'), {
+			mode: MODE.MIGEMO,
+			strict: true,
+			unicodeSets: false,
+			verbose: false,
+			wholeWord: true,
+			pattern: 'foo'
+		});
+		assert.equal(parseSpecifiers('\\G\\L').mode, MODE.LITERAL);
+		assert.equal(parseSpecifiers('\\G\\L').pattern, '');
+	});
+
+	it('specifiers in the middle are a part of the pattern', () => {
+		const result = parseSpecifiers('foo\\Cbar\\O');
+		assert.equal(result.mode, MODE.REGEX);
+		assert.equal(result.strict, false);
+		assert.equal(result.wholeWord, false);
+		assert.equal(result.pattern, 'foo\\Cbar\\O');
+
+		// a glob pattern of a windows path
+		assert.equal(parseSpecifiers('\\GC:\\Games\\*').pattern, 'C:\\Games\\*');
+	});
+
+	it('\\W is a regex class, not the whole word specifier', () => {
+		const result = parseSpecifiers('\\W+');
+		assert.equal(result.wholeWord, false);
+		assert.equal(result.pattern, '\\W+');
+
+		const result2 = parseSpecifiers('\\Ofoo\\W');
+		assert.equal(result2.wholeWord, true);
+		assert.equal(result2.pattern, 'foo\\W');
+	});
+
+	it('c-w and c-u next to the specifiers', () => {
+		// c-w: "\\M\\Cfoo|" extended to "\\M\\C|foo|"
+		assert.equal(getEraseStart('\\M\\Cfoo', 4, false), 4);
+		// c-w: the word boundary is in the specifiers, "\\M\\|Cfoo|"
+		assert.equal(getEraseStart('\\M\\Cfoo', 3, false), 4);
+		// c-w: only the specifiers remain, which are erased one by one
+		assert.equal(getEraseStart('\\M\\C', 3, false), 2);
+		// c-w: no specifiers
+		assert.equal(getEraseStart('foo\\Cbar', 5, false), 5);
+
+		// c-u: "\\M\\Cfoo|bar" extended to "|\\M\\Cfoo|bar"
+		assert.equal(getEraseStart('\\M\\Cfoobar', 0, true), 4);
+		// c-u: only the specifiers remain, which are erased together
+		assert.equal(getEraseStart('\\M\\C', 0, true), 0);
+		// c-u: the specifiers in the middle are erased
+		assert.equal(getEraseStart('foo\\Cbar', 0, true), 0);
+	});
+});
+
 // vim:set ts=4 sw=4 fenc=UTF-8 ff=unix ft=javascript fdm=marker fmr=<<<,>>> :
@@ -0,0 +1,122 @@
+import assert from 'node:assert/strict';
+
+import {DIALECT} from '../src/lib/common.js';
+import {translateDialect} from '../src/lib/regex-dialect.js';
+
+const WORD = '[\\p{L}\\p{M}\\p{N}]';
+const NON_WORD = '[^\\p{L}\\p{M}\\p{N}]';
+const WORD_START = `(?<!${WORD})(?=${WORD})`;
+const WORD_END = `(?<=${WORD})(?!${WORD})`;
+const KEYWORD = '[\\p{L}\\p{M}\\p{N}_]';
+const KEYWORD_START = `(?<!${KEYWORD})(?=${KEYWORD})`;
+const KEYWORD_END = `(?<=${KEYWORD})(?!${KEYWORD})`;
+
+/*
+ * asserts:
+ *   equal(actual, expected[, message])
+ */
+
+function assertTranslations (dialect, pairs) {
+	for (const [source, expected] of pairs) {
+		assert.equal(translateDialect(source, dialect), expected, source);
+	}
+}
+
+function assertUntranslatable (dialect, source, construct) {
+	assert.throws(
+		() => translateDialect(source, dialect),
+		err => {
+			assert.equal(err.name, 'DialectError', source);
+			assert.equal(err.construct, construct, source);
+			return true;
+		});
+}
+
+describe('translateDialect', () => {
+	it('javascript', () => {
+		assertTranslations(DIALECT.JAVASCRIPT, [
+			['(foo|bar){2,3}', '(foo|bar){2,3}']
+		]);
+	});
+
+	it('emacs', () => {
+		assertTranslations(DIALECT.EMACS, [
+			['\\(foo\\|bar\\)\\{2,3\\}', '(foo|bar){2,3}'],
+			['a+b*c?(x){y}|z', 'a+b*c?\\(x\\)\\{y\\}\\|z'],
+			['\\(?:ab\\)\\1', '(?:ab)\\1'],
+			['\\<foo\\>', `${WORD_START}foo${WORD_END}`],
+			['\\`bar\\\'', '(?<![^])bar(?![^])'],
+			['\\s-', '\\s']
+		]);
+	});
+
+	it('emacs word constituents', () => {
+		assertTranslations(DIALECT.EMACS, [
+			['\\w+\\W', `${WORD}+${NON_WORD}`],
+			['\\sw\\Sw', `${WORD}${NON_WORD}`],
+			['[[:word:]]', `[\\p{L}\\p{M}\\p{N}]`]
+		]);
+
+		const pattern = new RegExp(translateDialect('\\<\\w+\\>', DIALECT.EMACS), 'gu');
+		assert.deepEqual('漢字と、かな。'.match(pattern), ['漢字と', 'かな']);
+		assert.deepEqual(
+			'全角の文字'.match(new RegExp(translateDialect('[[:word:]]+', DIALECT.EMACS), 'gu')),
+			['全角の文字']);
+	});
+
+	it('underscore is a word constituent only in vim', () => {
+		// '_' has the symbol syntax in emacs
+		const emacs = new RegExp(translateDialect('\\<\\w+\\>', DIALECT.EMACS), 'gu');
+		assert.deepEqual('foo_bar baz'.match(emacs), ['foo', 'bar', 'baz']);
+		const emacs2 = new RegExp(translateDialect('[[:word:]]+', DIALECT.EMACS), 'gu');
+		assert.deepEqual('foo_bar'.match(emacs2), ['foo', 'bar']);
+
+		// and is a keyword character in vim
+		const vim = new RegExp(translateDialect('<\\w+>', DIALECT.VIM_VERY_MAGIC), 'gu');
+		assert.deepEqual('foo_bar baz'.match(vim), ['foo_bar', 'baz']);
+	});
+
+	it('emacs consecutive postfix operators', () => {
+		assertTranslations(DIALECT.EMACS, [
+			['a**', 'a*'],
+			['a+*', 'a*'],
+			['a?+', 'a*'],
+			['a++b', 'a+b'],
+			['a*+?', 'a*?']
+		]);
+		assertUntranslatable(DIALECT.EMACS, 'a*??', '*??');
+		assertUntranslatable(DIALECT.EMACS, 'a*\\{2\\}', '*\\{');
+	});
+
+	it('emacs bracket expressions', () => {
+		assertTranslations(DIALECT.EMACS, [
+			['[[:digit:][:upper:]]+', '[0-9\\p{Lu}]+'],
+			['[]a]', '[\\]a]']
+		]);
+	});
+
+	it('vim very magic', () => {
+		assertTranslations(DIALECT.VIM_VERY_MAGIC, [
+			['(foo|bar){2,3}', '(foo|bar){2,3}'],
+			['<foo>', `${KEYWORD_START}foo${KEYWORD_END}`],
+			['a{-}b{-1,}', 'a*?b{1,}?'],
+			['(foo)@<=bar(baz)@!', '(?<=(foo))bar(?!(baz))'],
+			['%(ab)+\\d\\a\\u=', '(?:ab)+\\d[A-Za-z][A-Z]?'],
+			['a\\nb\\tc', 'a\\nb\\tc']
+		]);
+	});
+
+	it('vim very nomagic', () => {
+		assertTranslations(DIALECT.VIM_VERY_NOMAGIC, [
+			['a.b*c', 'a\\.b\\*c'],
+			['\\(a\\|b\\)\\+\\.', '(a|b)+.'],
+			['\\<x\\>\\[abc]', `${KEYWORD_START}x${KEYWORD_END}[abc]`]
+		]);
+	});
+
+	it('untranslatable constructs', () => {
+		assertUntranslatable(DIALECT.EMACS, '\\cg', '\\cg');
+		assertUntranslatable(DIALECT.VIM_VERY_MAGIC, '\\zsfoo', '\\zs');
+		assertUntranslatable(DIALECT.VIM_VERY_NOMAGIC, '\\%[abc]', '\\%[');
+	});
+});
@@ -0,0 +1,124 @@
+import assert from 'node:assert/strict';
+
+import {
+	lintRegex,
+	HAZARD_NESTED_QUANTIFIER,
+	HAZARD_OVERLAPPING_ALTERNATION
+} from '../src/lib/regex-linter.js';
+import {transformRegex} from '../src/lib/regex-transformer.js';
+
+/*
+ * asserts:
+ *   equal(actual, expected[, message])
+ */
+
+describe('lintRegex', () => {
+	it('safe patterns', () => {
+		for (const source of ['foo.*bar', 'a+b+', '(a|b)+', '[(]+']) {
+			const actual = lintRegex(source);
+			assert.equal(actual.source, source, source);
+			assert.equal(actual.hazards.length, 0, source);
+		}
+	});
+
+	it('nested quantifier', () => {
+		const actual = lintRegex('(a+)+$');
+		assert.equal(actual.hazards.length, 1);
+		assert.equal(actual.hazards[0].type, HAZARD_NESTED_QUANTIFIER);
+		assert.equal(actual.hazards[0].source, 'a+');
+		assert.equal(actual.source, '((?:(?=(?<rdl0>a+))\\k<rdl0>))+$');
+	});
+
+	it('overlapping alternation', () => {
+		const actual = lintRegex('(\\w|\\d)+x', 'u');
+		assert.equal(actual.hazards.length, 1);
+		assert.equal(actual.hazards[0].type, HAZARD_OVERLAPPING_ALTERNATION);
+		assert.equal(actual.hazards[0].source, '(\\w|\\d)');
+	});
+
+	it('plain prefix overlaps are harmless', () => {
+		for (const source of ['(?:a|ab)+c', '(?:a|ab)*c', '(foo|foobar)+']) {
+			const actual = lintRegex(source);
+			assert.equal(actual.source, source, source);
+			assert.equal(actual.hazards.length, 0, source);
+		}
+		assert.equal(new RegExp(lintRegex('(?:a|ab)+c').source, 'u').exec('abc')[0], 'abc');
+		assert.equal(new RegExp(lintRegex('(?:a|ab)*c').source, 'u').exec('abc')[0], 'abc');
+	});
+
+	it('possible hazards are not rewritten', () => {
+		const actual = lintRegex('(a|aa)+');
+		assert.equal(actual.source, '(a|aa)+');
+		assert.equal(actual.hazards.length, 1);
+		assert.equal(actual.hazards[0].atomic, false);
+
+		// a backreference does not matter if nothing is rewritten
+		assert.equal(lintRegex('(x)(\\w|\\wx)+\\1').hazards[0].atomic, false);
+	});
+
+	it('nested quantifier with siblings', () => {
+		// a separated one can be made atomic without changing the results
+		const actual = lintRegex('(?:a+,)+');
+		assert.equal(actual.hazards.length, 1);
+		assert.equal(actual.hazards[0].atomic, true);
+		assert.equal(new RegExp(actual.source, 'u').exec('aa,a,b')[0], 'aa,a,');
+
+		// the others are rejected
+		assert.throws(() => {
+			lintRegex('(x+x+)+y');
+		}, err => {
+			assert.equal(err.name, 'HazardError');
+			assert.equal(err.hazards[0].type, HAZARD_NESTED_QUANTIFIER);
+			assert.equal(err.hazards[0].source, 'x+');
+			return true;
+		});
+	});
+
+	it('nested quantifier which gives back to what follows', () => {
+		// (?:a+)+ab matches 'aab' only if a+ gives back an 'a'
+		assert.throws(() => {
+			lintRegex('(?:a+)+ab');
+		}, {name: 'HazardError'});
+	});
+
+	it('hazards in terms of the original pattern', () => {
+		const actual = lintRegex('(?:(?:[aA])+)+$', 'u', '(?:a+)+$');
+		assert.equal(actual.hazards[0].source, '(?:a+)+$');
+		assert.equal(lintRegex('(a+)+$', 'u', 'x(a+)+$').hazards[0].source, 'a+');
+	});
+
+	it('overlapping alternation, case insensitive', () => {
+		assert.equal(lintRegex('(a|A)*', 'u').hazards.length, 0);
+		assert.equal(lintRegex('(a|A)*', 'ui').hazards.length, 1);
+	});
+
+	it('contents of lookaheads are ignored', () => {
+		const actual = lintRegex('(?:(?=(?<g>a*))\\k<g>)+');
+		assert.equal(actual.hazards.length, 0);
+	});
+
+	it('rewritten pattern should not hang', () => {
+		const pattern = new RegExp(lintRegex('(a+)+$').source, 'u');
+		const start = Date.now();
+		assert.equal(pattern.test(`${'a'.repeat(40)}!`), false);
+		assert.ok(Date.now() - start < 1000);
+	});
+
+	it('rewritten pattern keeps ordinary matches', () => {
+		const pattern = new RegExp(lintRegex('(?:\\d+)*-x').source, 'u');
+		assert.equal(pattern.exec('12-34-x')[0], '34-x');
+	});
+
+	it('backreference can not be rewritten', () => {
+		assert.throws(() => {
+			lintRegex('(x)(a+)+\\1');
+		}, {name: 'HazardError'});
+	});
+
+	it('expansions by the transformer', () => {
+		const source = transformRegex('.+', '가', {extendDot: true});
+		const actual = lintRegex(source, 'gmsu');
+		assert.ok(actual.hazards.length > 0);
+		assert.ok(new RegExp(actual.source, 'gmsu') instanceof RegExp);
+	});
+});
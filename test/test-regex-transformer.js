@@ -4,7 +4,10 @@ import {fileURLToPath} from 'node:url';
 import {default as nodePath} from 'node:path';
 
 import * as jsmigemo from '../src/lib/jsmigemo.js';
+import * as unifier from '../src/lib/unifier.js';
 import {
+	isUnicodeSetsSource,
+	transformGlob,
 	transformMigemo,
 	transformLiteral,
 	transformRegex
@@ -80,6 +83,31 @@ describe('transformLiteral', () => {
 	});
 });
 
+describe('transformGlob', () => {
+	it('wildcards', () => {
+		const match = (source, text) => text.match(new RegExp(transformGlob(source, text), 'gu'));
+
+		assert.equal(transformGlob('foo*bar'), 'foo[^\\n]*?bar');
+		assert.deepEqual(match('f*r', 'foobar\nfr'), ['foobar', 'fr']);
+		assert.deepEqual(match('f*r', 'foo\nbar'), null);
+		assert.deepEqual(match('a?c', 'abc ae\u0301c ac'), ['abc', 'ae\u0301c']);
+		assert.deepEqual(match('??', 'abc'), ['ab']);
+
+		// a trailing '*' is greedy
+		assert.equal(transformGlob('foo*'), 'foo[^\\n]*');
+		assert.deepEqual(match('foo*', 'foobar\nfoo'), ['foobar', 'foo']);
+		assert.deepEqual(match('a.b*', 'a.bcd'), ['a.bcd']);
+	});
+
+	it('literal characters', () => {
+		assert.equal(transformGlob('a.b(c)[d]'), 'a\\.b\\(c\\)\\[d\\]');
+		assert.equal(transformGlob('a\\*b\\?\\\\'), 'a\\*b\\?\\\\');
+		assert.equal(transformGlob('a\\d\\'), 'a\\\\d\\\\');
+		assert.equal(transformGlob('\uff41 b'), 'a\\s+b');
+		assert.equal(transformGlob('\uff41', null, {strict: true}), '\uff41');
+	});
+});
+
 describe('transformRegex', () => {
 	it('bottom backslash', () => {
 		assert.throws(() => {
@@ -116,4 +144,143 @@ describe('transformRegex', () => {
 		const source = transformRegex('[ぶブ]');
 		assert.equal(source, '(?:ふ\u3099|フ\u3099)');
 	});
+
+	it('quantifiers after multi-character expansions', () => {
+		assert.equal(transformRegex('\u2469+'), '(?:10)+');
+		assert.equal(transformRegex('\ufb01?'), '(?:fi)?');
+		assert.ok(new RegExp(`^${transformRegex('x\ufb01?y')}$`, 'u').test('xy'));
+		assert.ok(!new RegExp(`^${transformRegex('x\ufb01?y')}$`, 'u').test('xfy'));
+	});
+
+	it('syntax characters in expansions', () => {
+		assert.equal(transformRegex('\u{1f1a0}'), '(?:5\\.1)');
+		assert.equal(transformRegex('[a\u{1f1a0}]'), '(?:[a]|5\\.1)');
+	});
+
+	it('multi-character expansions in negated character class', () => {
+		const source = transformRegex('[^a\u2469]');
+		assert.equal(source, '(?:(?!10)[^a])');
+		assert.deepEqual('a10b'.match(new RegExp(source, 'gu')), ['0', 'b']);
+	});
+
+	it('ranges in character class', () => {
+		const source = transformRegex('[\u00e0-\u00e5]');
+		assert.equal(source, '[\u00e0-\u00e5\\u{61}]');
+		assert.ok(new RegExp(source, 'u').test('a'));
+
+		// the endpoints are not unified separately
+		const source2 = transformRegex('[\uff21-\uff23]');
+		assert.equal(source2, '[\uff21-\uff23\\u{41}-\\u{43}]');
+		assert.ok(new RegExp(source2, 'u').test('B'));
+	});
+
+	it('escapes in character class', () => {
+		assert.equal(transformRegex('[\\d\\p{Script=Han}\\-\\]]'), '[\\d\\p{Script=Han}\\-\\]]');
+		assert.equal(transformRegex('[\\u00e9x]'), '[ex]');
+		assert.equal(transformRegex('[\\x41-\\x43]'), '[\\x41-\\x43]');
+	});
+
+	it('negated range in character class', () => {
+		const source = transformRegex('[^\u00e0-\u00e5]');
+		assert.equal(source, '[^\u00e0-\u00e5\\u{61}]');
+		assert.deepEqual('ab'.match(new RegExp(source, 'gu')), ['b']);
+	});
+
+	it('nested character class with v flag', () => {
+		const detail = {unicodeSets: true};
+
+		const source = transformRegex('[\\p{Script=Han}--[\u4e00\u4e8c\u4e09]]', null, detail);
+		assert.equal(source, '[\\p{Script=Han}--[\u4e00\u4e8c\u4e09]]');
+		assert.deepEqual('\u4e00\u56db'.match(new RegExp(source, 'gv')), ['\u56db']);
+
+		const source2 = transformRegex('[[a-c]&&[\uff42-\uff5a]]', null, detail);
+		assert.equal(source2, '[[a-c]&&[\uff42-\uff5a\\u{62}-\\u{7a}]]');
+		assert.deepEqual('abc'.match(new RegExp(source2, 'gv')), ['b', 'c']);
+	});
+
+	it('strings with v flag', () => {
+		const detail = {unicodeSets: true};
+
+		const source = transformRegex('[\\p{N}--\u2469]', null, detail);
+		assert.equal(source, '[\\p{N}--\\q{10}]');
+		assert.ok(new RegExp(source, 'v').test('1'));
+
+		assert.equal(transformRegex('[\\q{\uff41\uff42|c}x]', null, detail), '[\\q{ab|c}x]');
+		assert.equal(transformRegex('[^\\p{Lu}\u2469]', null, detail), '(?:(?!10)[^\\p{Lu}])');
+		assert.equal(transformRegex('[\uff3b]', null, detail), '[\\[]');
+	});
+
+	it('detection of v flag syntax', () => {
+		assert.ok(isUnicodeSetsSource('[\\p{Script=Han}--[\u4e00]]'));
+		assert.ok(isUnicodeSetsSource('[\\w&&\\d]'));
+		assert.ok(isUnicodeSetsSource('\\p{RGI_Emoji}'));
+		assert.ok(isUnicodeSetsSource('[\\q{abc}]'));
+		assert.ok(!isUnicodeSetsSource('[a-z]--'));
+		assert.ok(!isUnicodeSetsSource('\\[\\[a]'));
+		assert.ok(!isUnicodeSetsSource('\\\\q{1}'));
+	});
+
+	it('grapheme cluster escape', () => {
+		const target = 'e\u0301gk\u0308';
+		const source = transformRegex('\\X{2}', target);
+		assert.deepEqual(target.match(new RegExp(source, 'gu')), ['e\u0301g']);
+
+		// several expansions in a pattern
+		const source2 = transformRegex('\\X.\\X', target, {extendDot: true});
+		assert.deepEqual(target.match(new RegExp(source2, 'gu')), [target]);
+
+		// escaped backslash
+		assert.equal(transformRegex('\\\\X'), '\\\\X');
+
+		// after literal characters
+		const source3 = transformRegex('g\\X', target);
+		assert.deepEqual(target.match(new RegExp(source3, 'gu')), ['gk\u0308']);
+		const source4 = transformRegex('\\Xg\\X', target);
+		assert.deepEqual(target.match(new RegExp(source4, 'gu')), [target]);
+	});
+
+	it('shorthand classes of Japanese scripts', () => {
+		const text = unifier.unifyString('\u3072\u3089\uff76\uff80\u30ab\u6f22\u3005\uff21\uff11');
+		const match = source => text.match(new RegExp(transformRegex(source), 'gu'));
+
+		assert.deepEqual(match('\\h+'), ['\u3072\u3089']);
+		assert.deepEqual(match('\\a+'), ['\u30ab\u30bf\u30ab']);
+		assert.deepEqual(match('\\j+'), ['\u6f22\u3005']);
+		assert.deepEqual(match('\\z+'), ['A1']);
+		assert.deepEqual(match('\\H\\j'), ['\u30ab\u6f22']);
+		assert.deepEqual(match('[\\h\\j]+'), ['\u3072\u3089', '\u6f22\u3005']);
+
+		// after literal characters
+		assert.deepEqual(match('\u3072\\h+'), ['\u3072\u3089']);
+		assert.deepEqual(match('(\u30bf\\a)'), ['\u30bf\u30ab']);
+		assert.deepEqual(match('\u30ab\\j'), ['\u30ab\u6f22']);
+
+		// the negated forms exclude the unified strings without lookaheads
+		const negated = transformRegex('\\A');
+		assert.ok(!negated.includes('(?!'));
+		assert.deepEqual(unifier.unifyString('\u30ac\u3042').match(new RegExp(negated, 'gu')), ['\u3042']);
+
+		// without unification
+		const source = transformRegex('\\a+', null, {strict: true});
+		assert.deepEqual('\uff76\uff80\u3072'.match(new RegExp(source, 'gu')), ['\uff76\uff80']);
+
+		// negated forms in a character class
+		assert.throws(() => transformRegex('[\\H]'), SyntaxError);
+		const source2 = transformRegex('[\\Hx]', null, {unicodeSets: true});
+		assert.equal(text.match(new RegExp(source2, 'gv')).join(''), '\u30ab\u30bf\u30ab\u6f22\u3005A1');
+	});
+
+	it('verbose mode', () => {
+		const detail = {verbose: true};
+		const source = [
+			'(?<year> \\d{4} )  # year',
+			'- (\\d{2})         # month'
+		].join('\n');
+		assert.equal(transformRegex(source, null, detail), '(?<year>\\d{4})-(\\d{2})');
+
+		// escaped whitespaces and '#', and character classes
+		assert.equal(transformRegex('a\\ b \\# [ #]', null, {...detail, strict: true}), 'a b#[ #]');
+		assert.equal(transformRegex('[[a b]--[b]] # x', null, {...detail, unicodeSets: true}), '[[a b]--[b]]');
+		assert.ok(!isUnicodeSetsSource('a # \\q{x}', detail));
+	});
 });
@@ -2,12 +2,13 @@ import assert from 'node:assert/strict';
 
 import {JSDOM} from 'jsdom';
 
-import {esc, tag} from '../src/lib/common.js';
+import {esc, tag, MODE} from '../src/lib/common.js';
 import {
 	blockWalk, findPosition,
-	getSearchInfo, dumpSearchInfo,
-	getFoundItemRange,
-	execLoop
+	getSearchInfo, updateSearchInfo, getUnobservedChanges, dumpSearchInfo,
+	getEditedRanges, mapEditedIndex,
+	getFoundItemRange, exceptElementIds, markMatch, relocateMatch, getPattern,
+	execLoop, countMatches
 } from '../src/lib/search.js';
 
 /*
@@ -57,6 +58,7 @@ function setupDocument (html) {
 				if (re) {
 					switch (re[1]) {
 					case 'position':
+					case 'display':
 						style[re[1]] = re[2];
 						break;
 					}
@@ -276,6 +278,444 @@ describe('getSearchInfo', () => {
 	});
 });
 
+describe('updateSearchInfo', () => {
+	afterEach(terminateDocument);
+
+	async function mutate (fn) {
+		const si = await getSearchInfo({}, {ignoreCache: true});
+		const mo = new window.MutationObserver(() => {});
+		mo.observe(document.body, {subtree: true, childList: true, characterData: true});
+		fn();
+		const updated = await updateSearchInfo(si, mo.takeRecords());
+		mo.disconnect();
+		return {si, updated};
+	}
+
+	async function assertSameAsRebuilt (si) {
+		const expected = await getSearchInfo({}, {ignoreCache: true});
+		for (let i = 0; i < expected.sets.length; i++) {
+			assert.deepEqual(si.sets[i].lines, expected.sets[i].lines, `lines of set #${i}`);
+			assert.equal(si.sets[i].text, expected.sets[i].text, `text of set #${i}`);
+			assert.deepEqual(
+				si.sets[i].positions.map(p => p[0]),
+				expected.sets[i].positions.map(p => p[0]),
+				`positions of set #${i}`);
+			assert.deepEqual(si.sets[i].nodes, expected.sets[i].nodes, `nodes of set #${i}`);
+		}
+	}
+
+	it('changed text', async () => {
+		setupDefaultDocument();
+		const {si, updated} = await mutate(() => {
+			document.querySelector('p').firstChild.nodeValue = 'another paragraph';
+		});
+		assert.ok(updated);
+		assert.equal(si.sets[0].lines[2], 'another paragraph');
+		await assertSameAsRebuilt(si);
+	});
+
+	it('added and removed blocks', async () => {
+		setupDocument(`<html><body><p>first</p><p>second</p><p>third</p></body></html>`);
+		const {si, updated} = await mutate(() => {
+			const p = document.createElement('p');
+			p.textContent = 'inserted';
+			document.body.insertBefore(p, document.querySelectorAll('p')[1]);
+			document.querySelectorAll('p')[3].remove();
+			document.querySelector('p').append(' paragraph');
+		});
+		assert.ok(updated);
+		assert.equal(si.sets[0].text, 'first paragraph\ninserted\nsecond');
+		await assertSameAsRebuilt(si);
+	});
+
+	it('the match range of the updated text', async () => {
+		setupDocument(`<html><body><p>first</p><p>second</p></body></html>`);
+		const {si} = await mutate(() => {
+			document.querySelector('p').prepend('the ');
+		});
+		const re = /second/.exec(si.sets[0].text);
+		const range = getFoundItemRange(re, si, 0);
+		assert.equal(range.start.textNode, document.querySelectorAll('p')[1].firstChild);
+		assert.equal(range.start.textNodeIndex, 0);
+	});
+
+	it('the added contents are searched, but the panel is not', async () => {
+		setupDocument(`<html><body><p>first match</p></body></html>`);
+		exceptElementIds.add('panel');
+		try {
+			const {si, updated} = await mutate(() => {
+				const panel = document.createElement('div');
+				panel.id = 'panel';
+				panel.textContent = 'panel match';
+				document.body.append(panel);
+
+				const p = document.createElement('p');
+				p.textContent = 'second match';
+				document.body.append(p);
+			});
+			assert.ok(updated);
+			assert.equal(si.sets[0].text, 'first match\nsecond match');
+
+			const ranges = [...execLoop(/match/g, si.sets[0].text)].map(re => {
+				return getFoundItemRange(re, si, 0);
+			});
+			assert.deepEqual(
+				ranges.map(range => range.start.textNode.parentNode),
+				[...document.querySelectorAll('p')]);
+		}
+		finally {
+			exceptElementIds.delete('panel');
+		}
+	});
+
+	it('relocate a match', async () => {
+		setupDocument(`<html><body><p>first</p><p>second match</p><p>third match</p></body></html>`);
+		const si = await getSearchInfo({}, {ignoreCache: true});
+		const marks = [...si.sets[0].text.matchAll(/match/g)].map(re => {
+			return markMatch(si, getFoundItemRange(re, si, 0).match);
+		});
+
+		const mo = new window.MutationObserver(() => {});
+		mo.observe(document.body, {subtree: true, childList: true, characterData: true});
+		document.querySelector('p').prepend('the ');
+		document.querySelectorAll('p')[2].firstChild.nodeValue = 'third match!';
+		assert.ok(await updateSearchInfo(si, mo.takeRecords()));
+		mo.disconnect();
+
+		// the unchanged one is shifted, and the changed one is lost
+		assert.deepEqual(relocateMatch(si, marks[0]), {text: 'match', index: 17, setIndex: 0});
+		assert.equal(si.sets[0].text.substring(17, 22), 'match');
+		assert.equal(relocateMatch(si, marks[1]), null);
+	});
+
+	it('the edits of the text', async () => {
+		setupDocument(`<html><body><p>first</p><p>second</p><p>third</p><p>fourth</p></body></html>`);
+		const {si, updated} = await mutate(() => {
+			document.querySelectorAll('p')[1].prepend('the ');
+			document.querySelectorAll('p')[3].remove();
+		});
+		assert.ok(updated);
+		assert.equal(si.sets[0].text, 'first\nthe second\nthird');
+
+		// only the edited lines are searched again
+		const {edits} = si.sets[0];
+		assert.deepEqual(getEditedRanges(edits).map(([start, end]) => {
+			return si.sets[0].text.substring(start, end);
+		}), ['the second\n', '']);
+
+		// the matches out of them follow the edits
+		assert.equal(mapEditedIndex(edits, 0, 5), 0);
+		assert.equal(mapEditedIndex(edits, 6, 6), -1);
+		assert.equal(mapEditedIndex(edits, 13, 5), 17);
+		assert.equal(mapEditedIndex(edits, 19, 6), -1);
+	});
+
+	it('should not be updated if inline contents of the root are changed', async () => {
+		setupDocument(`<html><body><p>first</p></body></html>`);
+		const {updated} = await mutate(() => {
+			document.body.append('inline text');
+		});
+		assert.equal(updated, false);
+	});
+});
+
+describe('shadow roots', () => {
+	afterEach(() => {
+		terminateDocument();
+		delete globalThis.chrome;
+	});
+
+	function setupShadowDocument (mode) {
+		setupDocument(`<html><body><p>before <x-host>light <b>text</b></x-host> after</p><p>next</p></body></html>`);
+		const host = document.querySelector('x-host');
+		const shadowRoot = host.attachShadow({mode});
+		shadowRoot.innerHTML = `<span>shadow</span> <slot></slot><div>shadow block</div>`;
+		return {host, shadowRoot};
+	}
+
+	it('open shadow root', async () => {
+		setupShadowDocument('open');
+		const si = await getSearchInfo({}, {ignoreCache: true});
+		assert.equal(si.sets[0].text, 'before shadow light text\nshadow block\nafter\nnext');
+	});
+
+	it('closed shadow root', async () => {
+		const {host, shadowRoot} = setupShadowDocument('closed');
+
+		// without the extension api, the light tree is searched instead
+		let si = await getSearchInfo({}, {ignoreCache: true});
+		assert.equal(si.sets[0].text, 'before light text after\nnext');
+
+		globalThis.chrome = {
+			dom: {
+				openOrClosedShadowRoot: element => element === host ? shadowRoot : null
+			}
+		};
+		si = await getSearchInfo({}, {ignoreCache: true});
+		assert.equal(si.sets[0].text, 'before shadow light text\nshadow block\nafter\nnext');
+	});
+
+	it('range across shadow boundaries', async () => {
+		const {shadowRoot} = setupShadowDocument('open');
+		const si = await getSearchInfo({}, {ignoreCache: true});
+		const re = /before shadow light/.exec(si.sets[0].text);
+		const range = getFoundItemRange(re, si, 0);
+
+		assert.equal(range.start.textNode, document.querySelector('p').firstChild);
+		assert.equal(range.start.textNodeIndex, 0);
+		assert.equal(range.end.textNode, document.querySelector('x-host').firstChild);
+		assert.equal(range.end.textNodeIndex, 'light'.length);
+		assert.deepEqual(range.textNodes, [
+			document.querySelector('p').firstChild,
+			shadowRoot.querySelector('span').firstChild,
+			document.querySelector('x-host').firstChild
+		]);
+	});
+});
+
+describe('same-origin iframes', () => {
+	afterEach(terminateDocument);
+
+	function setupFrame (frame, html) {
+		const frameWindow = frame.contentWindow;
+		frameWindow.Element.prototype.checkVisibility = window.Element.prototype.checkVisibility;
+		frameWindow.Element.prototype.getBoundingClientRect = window.Element.prototype.getBoundingClientRect;
+		frame.contentDocument.body.innerHTML = html;
+		return frame.contentDocument;
+	}
+
+	it('contents of iframes', async () => {
+		setupDocument(`<html><body><p>top</p><iframe></iframe><p>bottom</p></body></html>`);
+		const frameDocument = setupFrame(document.querySelector('iframe'), `<p>in frame</p><iframe></iframe>`);
+		setupFrame(frameDocument.querySelector('iframe'), `<p>nested</p>`);
+
+		const si = await getSearchInfo({}, {ignoreCache: true});
+		assert.deepEqual(si.sets.map(set => set.type), ['body', 'document', 'document']);
+		assert.deepEqual(si.sets.map(set => set.text), ['top\nbottom', 'in frame', 'nested']);
+		assert.equal(si.sets[1].root, document.querySelector('iframe'));
+		assert.deepEqual(si.frameErrors, []);
+	});
+
+	it('range in an iframe', async () => {
+		setupDocument(`<html><body><p>top</p><iframe></iframe></body></html>`);
+		const frameDocument = setupFrame(document.querySelector('iframe'), `<p>text in <b>frame</b></p>`);
+
+		const si = await getSearchInfo({}, {ignoreCache: true});
+		const re = /in frame/.exec(si.sets[1].text);
+		const range = getFoundItemRange(re, si, 1);
+
+		assert.equal(range.target, undefined);
+		assert.equal(range.start.textNode, frameDocument.querySelector('p').firstChild);
+		assert.equal(range.start.textNodeIndex, 'text '.length);
+		assert.equal(range.end.textNode, frameDocument.querySelector('b').firstChild);
+		assert.equal(range.end.textNodeIndex, 'frame'.length);
+	});
+
+	it('contents of iframes are not observed', async () => {
+		setupDocument(`<html><body><p>top</p><iframe></iframe></body></html>`);
+		setupFrame(document.querySelector('iframe'), `<p>in frame</p>`);
+
+		const si = await getSearchInfo({}, {ignoreCache: true});
+		assert.equal(getUnobservedChanges(si), null);
+
+		setupDocument(`<html><body><p>top</p></body></html>`);
+		assert.deepEqual(getUnobservedChanges(await getSearchInfo({}, {ignoreCache: true})), []);
+	});
+});
+
+describe('form fields', () => {
+	afterEach(terminateDocument);
+
+	function setupFormDocument () {
+		setupDocument(`<html><body><p>name <input value="hello world"></p><p><textarea>default</textarea> <select><option>one</option><option selected>two</option></select></p></body></html>`);
+		document.querySelector('textarea').value = 'typed text';
+	}
+
+	it('values of form fields', async () => {
+		setupFormDocument();
+
+		let si = await getSearchInfo({}, {ignoreCache: true});
+		assert.doesNotMatch(si.sets[0].text, /hello|typed/);
+
+		si = await getSearchInfo({forms: true});
+		assert.equal(si.sets[0].text, 'name hello world\ntyped text two');
+	});
+
+	it('range in a form field', async () => {
+		setupFormDocument();
+
+		const si = await getSearchInfo({forms: true}, {ignoreCache: true});
+		const re = /world/.exec(si.sets[0].text);
+		const range = getFoundItemRange(re, si, 0);
+		assert.equal(range.target, document.querySelector('input'));
+		assert.deepEqual(range.selection, [6, 11]);
+
+		// a match across the boundary of a field can not be selected
+		const re2 = /name hello/.exec(si.sets[0].text);
+		assert.equal(getFoundItemRange(re2, si, 0), null);
+	});
+
+	it('values changed after indexing', async () => {
+		setupDocument(`<html><body><p>name <input value="hello world"></p><p>empty <input></p></body></html>`);
+
+		const si = await getSearchInfo({forms: true}, {ignoreCache: true});
+		assert.equal(si.sets[0].text, 'name hello world\nempty ');
+
+		// typing into the fields causes no mutations
+		const inputs = document.querySelectorAll('input');
+		inputs[0].value = 'changed';
+		inputs[1].value = 'typed';
+
+		const records = getUnobservedChanges(si);
+		assert.equal(records.length, 2);
+		assert.equal(await updateSearchInfo(si, records), true);
+		assert.equal(si.sets[0].text, 'name changed\nempty typed');
+	});
+});
+
+describe('hidden contents', () => {
+	afterEach(terminateDocument);
+
+	function setupHiddenDocument () {
+		setupDocument(`<html><body><details><summary>summary</summary><p>details contents</p></details><div hidden="until-found">until found</div><p>visible<script>script</script></p></body></html>`);
+		window.Element.prototype.checkVisibility = function () {
+			return !this.closest('[hidden], details:not([open]) > :not(summary), script');
+		};
+	}
+
+	it('without the hidden mode', async () => {
+		setupHiddenDocument();
+		const si = await getSearchInfo({}, {ignoreCache: true});
+		assert.equal(si.sets[0].text, 'summary\nvisible');
+	});
+
+	it('with the hidden mode', async () => {
+		setupHiddenDocument();
+		const si = await getSearchInfo({hidden: true}, {ignoreCache: true});
+		assert.equal(si.sets[0].text, 'summary\ndetails contents\nuntil found\nvisible');
+	});
+});
+
+describe('accessible names', () => {
+	afterEach(terminateDocument);
+
+	function setupLabelDocument () {
+		setupDocument(`<html><body><p>logo <img alt="Search Cobb"> <button aria-label="Settings"><svg></svg></button><a href="#" title="Help"> </a></p><p><a title="Home">Home page</a><span title="outer"><img alt="inner"></span></p></body></html>`);
+	}
+
+	it('names of elements without texts', async () => {
+		setupLabelDocument();
+		const si = await getSearchInfo({}, {ignoreCache: true});
+		assert.equal(si.sets[0].text, 'logo Search Cobb Settings Help\nHome page outer');
+	});
+
+	it('range in an accessible name', async () => {
+		setupLabelDocument();
+		const si = await getSearchInfo({}, {ignoreCache: true});
+		const re = /Settings/.exec(si.sets[0].text);
+		const range = getFoundItemRange(re, si, 0);
+		assert.equal(range.target, document.querySelector('button'));
+		assert.equal(range.selection, undefined);
+
+		// a match across the boundary of a name can not be selected
+		const re2 = /logo Search/.exec(si.sets[0].text);
+		assert.equal(getFoundItemRange(re2, si, 0), null);
+	});
+});
+
+describe('generated contents', () => {
+	afterEach(terminateDocument);
+
+	function setupGeneratedDocument () {
+		setupDocument(`<html><body><p data-before='"Q\\41  " attr(title)' title="1">question</p><p>price<span data-after='"\\5186" / "yen"'></span></p></body></html>`);
+
+		// the contents of pseudo elements are given by data attributes
+		const getComputedStyle = window.getComputedStyle;
+		window.getComputedStyle = (node, pseudo) => {
+			if (!pseudo) {
+				return getComputedStyle(node);
+			}
+			return {
+				display: 'inline',
+				visibility: 'visible',
+				content: node.dataset[pseudo.substring(2)] ?? 'none'
+			};
+		};
+	}
+
+	it('without generated contents', async () => {
+		setupGeneratedDocument();
+		const si = await getSearchInfo({}, {ignoreCache: true});
+		assert.equal(si.sets[0].text, 'question\nprice');
+	});
+
+	it('with generated contents', async () => {
+		setupGeneratedDocument();
+		const si = await getSearchInfo({generated: true}, {ignoreCache: true});
+		assert.equal(si.sets[0].text, 'QA 1question\nprice円');
+
+		const re = /QA/.exec(si.sets[0].text);
+		const range = getFoundItemRange(re, si, 0);
+		assert.equal(range.target, document.querySelector('p'));
+
+		// a match across the boundary of a generated content can not be selected
+		const re2 = /1question/.exec(si.sets[0].text);
+		assert.equal(getFoundItemRange(re2, si, 0), null);
+	});
+});
+
+describe('svg and mathml', () => {
+	afterEach(terminateDocument);
+
+	it('texts in svg', async () => {
+		setupDocument(`<html><body><p>chart<svg><title>tooltip</title><defs><text id="t">unused</text></defs><g><text>Jan <tspan>2024</tspan></text><text>Feb</text></g><foreignObject><div>html in svg</div></foreignObject></svg>end</p></body></html>`);
+		const si = await getSearchInfo({}, {ignoreCache: true});
+		assert.equal(si.sets[0].text, 'chart\nJan 2024\nFeb\nhtml in svg\nend');
+
+		const re = /2024/.exec(si.sets[0].text);
+		const range = getFoundItemRange(re, si, 0);
+		assert.equal(range.start.textNode, document.querySelector('tspan').firstChild);
+	});
+
+	it('mathml formulas', async () => {
+		setupDocument(`<html><body><p>inline <math style="display:inline math"><mi style="display:math">x</mi><mo style="display:math">+</mo><mn style="display:math">1</mn></math> formula</p><math style="display:block math"><mi style="display:math">y</mi></math></body></html>`);
+		const si = await getSearchInfo({}, {ignoreCache: true});
+		assert.equal(si.sets[0].text, 'inline x+1 formula\ny');
+	});
+});
+
+describe('ruby', () => {
+	afterEach(terminateDocument);
+
+	function setupRubyDocument () {
+		setupDocument(`<html><body><p>これは<ruby>漢字<rt>かんじ</rt></ruby>です。<ruby>漢<rp>(</rp><rt>かん</rt><rp>)</rp></ruby><ruby>字<rt>じ</rt></ruby>も</p></body></html>`);
+	}
+
+	it('without the ruby mode', async () => {
+		setupRubyDocument();
+		const si = await getSearchInfo({strict: true}, {ignoreCache: true});
+		assert.equal(si.sets[0].text, 'これは漢字です。漢字も');
+	});
+
+	it('with the ruby mode', async () => {
+		setupRubyDocument();
+		const si = await getSearchInfo({strict: true, ruby: true}, {ignoreCache: true});
+		assert.equal(si.sets[0].text, 'これは漢字です。漢字も\nかんじ\nかんじ');
+
+		const rubies = document.querySelectorAll('ruby');
+		const pattern = /かんじ/g;
+		assert.equal(getFoundItemRange(pattern.exec(si.sets[0].text), si, 0).target, rubies[0]);
+
+		// a reading across consecutive ruby elements
+		const range = getFoundItemRange(pattern.exec(si.sets[0].text), si, 0);
+		assert.equal(range.target, rubies[1]);
+		assert.deepEqual(range.targets, [rubies[1], rubies[2]]);
+
+		// a match across a text and a reading can not be selected
+		assert.equal(getFoundItemRange(/も\nかんじ/.exec(si.sets[0].text), si, 0), null);
+	});
+});
+
 describe('getFoundItemRange', () => {
 	afterEach(terminateDocument);
 
@@ -424,6 +864,26 @@ describe('getFoundItemRange', () => {
 			actual2.start.textNodeIndex,
 			actual2.end.textNodeIndex), '\u246c');
 	});
+
+	it('unification which changes lengths', async () => {
+		setupDocument(`<html><body><p>  a\u00bcb \u{1f19b} x \ufb01ne end</p></body></html>`);
+		const si = await getSearchInfo({}, {ignoreCache: true});
+		const text = si.sets[0].text;
+		assert.equal(text, 'a1\u20444b 3D x fine end');
+
+		const p = document.querySelector('p');
+		for (const [query, expected] of [
+			['b', 'b'], ['1', '\u00bc'], ['4b', '\u00bcb'], ['D', '\u{1f19b}'],
+			['3D x', '\u{1f19b} x'], ['i', '\ufb01'], ['ne end', 'ne end']
+		]) {
+			const re = [query];
+			re.index = text.indexOf(query);
+			const range = getFoundItemRange(re, si, 0);
+			assert.equal(p.firstChild.nodeValue.substring(
+				range.start.textNodeIndex,
+				range.end.textNodeIndex), expected, query);
+		}
+	});
 });
 
 describe('some RegExp tweaks', () => {
@@ -441,4 +901,50 @@ describe('some RegExp tweaks', () => {
 		const result = limitExec(/.*/gu, text, limit);
 		assert.equal(result.length, Math.ceil([...(new Intl.Segmenter).segment(text)].length / limit));
 	});
+
+	it('should be aborted if the time budget runs out', () => {
+		const result = [];
+		assert.throws(() => {
+			for (const re of execLoop(/a/gu, 'a'.repeat(1000 * 1000), 10, 5)) {
+				result.push(re[0]);
+			}
+		}, {name: 'TimeoutError', budget: 5});
+		assert.ok(result.length > 0);
+		assert.ok(result.length < 1000 * 1000);
+	});
+
+	it('hazards are checked after the transformation', async () => {
+		// the hazards in the expansion of the dot are reported as the dot
+		const pattern = await getPattern('.+', '\uac00', {mode: MODE.REGEX, extendDot: true});
+		assert.ok(pattern.hazards.length > 0);
+		assert.ok(pattern.hazards.every(hazard => hazard.source === '.+'));
+		assert.equal(pattern.exec('\u1100\u1161\u11a8a')[0], '\u1100\u1161\u11a8a');
+
+		const pattern2 = await getPattern('(\\h+)+$', '\u3072\u3089', {mode: MODE.REGEX, extendDot: true});
+		assert.equal(pattern2.hazards.filter(hazard => hazard.atomic).length, 1);
+		assert.ok(pattern2.hazards.every(hazard => hazard.source === '(\\h+)+$'));
+		assert.equal(pattern2.exec('\u3072\u3089')[0], '\u3072\u3089');
+
+		const pattern3 = await getPattern('( a+ )+ $  # comment', 'a', {mode: MODE.REGEX, verbose: true});
+		assert.equal(pattern3.hazards.length, 1);
+		assert.equal(pattern3.exec('aaa')[0], 'aaa');
+	});
+
+	it('whole word mode', () => {
+		function wholeWordExec (pattern, text) {
+			pattern.wholeWord = true;
+			return [...execLoop(pattern, text)].map(re => `${re[0]}@${re.index}`);
+		}
+
+		assert.deepEqual(wholeWordExec(/cat/giu, 'cat category Cat concat'), ['cat@0', 'Cat@13']);
+
+		// the word boundaries of CJK, which \b can not find
+		assert.deepEqual(wholeWordExec(/東京/gu, '私は東京に行きます'), ['東京@2']);
+		assert.deepEqual(wholeWordExec(/京/gu, '私は東京に行きます'), []);
+
+		const pattern = /cat/giu;
+		pattern.wholeWord = true;
+		assert.equal(countMatches(pattern, 'cat category Cat concat'), 2);
+		assert.equal(countMatches(/cat/giu, 'cat category Cat concat'), 4);
+	});
 });